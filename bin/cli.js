@@ -137,7 +137,53 @@ const DEFAULT_TIER_MODELS = {
   REASONING: 'deepseek/deepseek-reasoner',
 };
 
-function generateConfig(apiKey, baseUrl, tierModels, proxyPort) {
+function tierColor(tier) {
+  return { SIMPLE: colors.green, MEDIUM: colors.yellow, COMPLEX: colors.red, REASONING: colors.magenta }[tier] || colors.blue;
+}
+
+/**
+ * Configured tier list: `tiers` if set, else the built-in tiers with `tierModels`
+ */
+function configuredTiers(config) {
+  const { resolveTiers } = require('../src/router');
+  return resolveTiers({
+    tiers: config?.tiers,
+    tierModels: config?.tierModels || DEFAULT_TIER_MODELS,
+    tierCapabilities: config?.tierCapabilities,
+  });
+}
+
+/**
+ * Largest context window and output among tier models; the proxy upgrades
+ * requests that don't fit the routed tier
+ */
+function advertisedLimits(tierModels) {
+  const { MODEL_LIMITS } = require('../src/router');
+  const limits = Object.values(tierModels).map(model => MODEL_LIMITS[model]).filter(Boolean);
+  return {
+    contextWindow: limits.length ? Math.max(...limits.map(l => l.context)) : 128000,
+    maxTokens: limits.length ? Math.max(...limits.map(l => l.maxOutput)) : 16384,
+  };
+}
+
+function generateConfig(apiKey, baseUrl, tierModels, proxyPort, profiles = {}) {
+  const { profileOptions } = require('../src/profiles');
+  const autoModel = (id, name, models) => ({
+    id,
+    name,
+    reasoning: false,
+    input: ["text", "image"],
+    cost: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
+    ...advertisedLimits(models),
+  });
+
+  // Each routing profile is its own model, e.g. litellm-clawrouter/auto:eco
+  const profileModels = Object.keys(profiles).map(name => autoModel(
+    `auto:${name}`,
+    `Auto (${name} profile)`,
+    configuredTiers(profileOptions({ tierModels }, profiles, name)).tierModels,
+  ));
+
   return {
     models: {
       mode: "merge",
@@ -147,15 +193,8 @@ function generateConfig(apiKey, baseUrl, tierModels, proxyPort) {
           apiKey: "local-proxy",
           api: "openai-responses",
           models: [
-            {
-              id: "auto",
-              name: "Auto (Smart Routing)",
-              reasoning: false,
-              input: ["text", "image"],
-              cost: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
-              contextWindow: 128000,
-              maxTokens: 16384,
-            }
+            autoModel("auto", "Auto (Smart Routing)", tierModels),
+            ...profileModels,
           ]
         }
       }
@@ -220,7 +259,25 @@ async function run() {
     return showStatus();
   }
   if (args[0] === 'test') {
-    return testRouting(args[1]);
+    return testRouting(args[1], args.slice(2));
+  }
+  if (args[0] === 'stats') {
+    return showStats(args.slice(1));
+  }
+  if (args[0] === 'usage') {
+    return showUsage();
+  }
+  if (args[0] === 'cache') {
+    return manageCache(args.slice(1));
+  }
+  if (args[0] === 'keys') {
+    return manageKeys(args.slice(1));
+  }
+  if (args[0] === 'train') {
+    return trainWeights(args.slice(1));
+  }
+  if (args[0] === 'eval') {
+    return evalCorpus(args.slice(1));
   }
   if (args[0] === '--help' || args[0] === '-h') {
     return showHelp();
@@ -239,7 +296,21 @@ ${colors.cyan}USAGE${colors.reset}
   litellm-clawrouter start        Start the routing proxy
   litellm-clawrouter stop         Stop the routing proxy
   litellm-clawrouter status       Show proxy status
-  litellm-clawrouter test <msg>   Test routing for a message
+  litellm-clawrouter test <msg> [--header "Name: value"] [--profile <name>] [--explain]
+                                  Test routing for a message
+  litellm-clawrouter stats [--since 24h]
+                                  Summarize logged routing decisions
+  litellm-clawrouter usage        Show actual spend of the running proxy
+  litellm-clawrouter cache [list|purge] [--tier <tier>] [--id <id>] [--type exact|semantic]
+                                  Inspect or purge cached responses
+  litellm-clawrouter keys create <name> [--upstream-key <key>] [--profiles a,b] [--tiers SIMPLE,MEDIUM]
+                                  [--rpm <n>] [--tpm <n>] [--daily <usd>] [--monthly <usd>]
+  litellm-clawrouter keys list | keys revoke <id|name>
+                                  Issue and manage client keys
+  litellm-clawrouter train <dataset.jsonl> [--holdout 0.2] [--dry-run]
+                                  Fit routing weights to labelled prompts
+  litellm-clawrouter eval <corpus.jsonl> [--compare prev.jsonl] [--save out.jsonl]
+                                  Measure routing over a corpus of prompts
 
 ${colors.cyan}HOW IT WORKS${colors.reset}
   1. Run the setup wizard to configure LiteLLM connection
@@ -304,15 +375,16 @@ async function setupWizard() {
   log(`${colors.dim}  Press Enter to use defaults, or type a model name${colors.reset}`);
   log('');
   
-  const tierModels = { ...DEFAULT_TIER_MODELS };
+  // Re-running setup keeps a custom tier list, asking only for its models
+  const existing = getClawRouterConfig();
+  const { order, tierModels } = configuredTiers(existing);
+  const tiers = existing?.tiers ? existing.tiers.map(tier => ({ ...tier })) : null;
   
-  for (const [tier, defaultModel] of Object.entries(DEFAULT_TIER_MODELS)) {
-    const tierColor = tier === 'SIMPLE' ? colors.green : 
-                      tier === 'MEDIUM' ? colors.yellow :
-                      tier === 'COMPLEX' ? colors.red : colors.magenta;
-    const input = await prompt(`  ${tierColor}${tier}${colors.reset} [${defaultModel}]: `);
+  for (const tier of order) {
+    const input = await prompt(`  ${tierColor(tier)}${tier}${colors.reset} [${tierModels[tier]}]: `);
     if (input) {
       tierModels[tier] = input;
+      if (tiers) tiers.find(t => t.name === tier).model = input;
     }
   }
   
@@ -326,6 +398,8 @@ async function setupWizard() {
     litellmApiKey: apiKey,
     proxyPort,
     tierModels,
+    ...(tiers && { tiers }),
+    ...(existing?.profiles && { profiles: existing.profiles }),
     createdAt: new Date().toISOString(),
   };
   saveClawRouterConfig(clawRouterConfig);
@@ -335,7 +409,7 @@ async function setupWizard() {
   info('Updating OpenClaw configuration...');
   
   const existingConfig = getOpenClawConfig();
-  const openclawConfig = generateConfig(apiKey, baseUrl, tierModels, proxyPort);
+  const openclawConfig = generateConfig(apiKey, baseUrl, tierModels, proxyPort, existing?.profiles);
   const mergedConfig = mergeConfig(existingConfig, openclawConfig);
   
   const configDir = path.dirname(OPENCLAW_CONFIG_PATH);
@@ -381,10 +455,9 @@ async function setupWizard() {
   info(`Default model: ${colors.cyan}litellm-clawrouter/auto${colors.reset}`);
   log('');
   log(`${colors.dim}Routing tiers:${colors.reset}`);
-  log(`  ${colors.green}SIMPLE${colors.reset}    → ${tierModels.SIMPLE}`);
-  log(`  ${colors.yellow}MEDIUM${colors.reset}    → ${tierModels.MEDIUM}`);
-  log(`  ${colors.red}COMPLEX${colors.reset}   → ${tierModels.COMPLEX}`);
-  log(`  ${colors.magenta}REASONING${colors.reset} → ${tierModels.REASONING}`);
+  for (const tier of order) {
+    log(`  ${tierColor(tier)}${tier.padEnd(10)}${colors.reset} → ${tierModels[tier]}`);
+  }
   log('');
   info('Test it: litellm-clawrouter test "What is 2+2?"');
   log('');
@@ -400,13 +473,40 @@ async function startProxy() {
   info(`Starting proxy on port ${config.proxyPort}...`);
   
   const { startProxy: start } = require('../src/proxy');
+  const { RoutingLog } = require('../src/log');
+  const { BudgetManager } = require('../src/budget');
+  const { KeyStore } = require('../src/keys');
   
   try {
+    const keys = new KeyStore();
+    const budgets = new BudgetManager(config.budgets || {});
+    const classifier = config.classifier ? setupConfiguredClassifier(config) : null;
+    const { cache, semanticCache } = configuredCaches(config);
     const proxy = await start({
       port: config.proxyPort,
       litellmBaseUrl: config.litellmBaseUrl,
       litellmApiKey: config.litellmApiKey,
       tierModels: config.tierModels,
+      tierCapabilities: config.tierCapabilities,
+      tiers: config.tiers,
+      weights: config.weights,
+      thresholds: config.thresholds,
+      rules: config.rules,
+      candidates: config.candidates,
+      health: config.health,
+      profiles: config.profiles,
+      stickiness: config.stickiness,
+      fallbacks: config.fallbacks,
+      retry: config.retry,
+      routingLog: config.routingLog === false ? null : new RoutingLog(config.routingLog),
+      baselineModel: config.baselineModel,
+      // Always on: keys created while the proxy runs may carry budgets of their own
+      budgets,
+      keys,
+      limits: config.limits,
+      cache,
+      semanticCache,
+      classifier,
       onReady: (port) => {
         success(`Proxy running on http://localhost:${port}`);
         log('');
@@ -414,9 +514,18 @@ async function startProxy() {
         info('Press Ctrl+C to stop');
         log('');
       },
-      onRouted: (decision) => {
+      onCompleted: (decision) => {
         const savings = (decision.savings * 100).toFixed(0);
-        log(`[${decision.tier}] ${decision.routedModel} (saved ${savings}%)`);
+        const cost = decision.cost !== null ? ` $${decision.cost.toFixed(6)}` : '';
+        const sticky = decision.sticky ? ` ${colors.dim}(sticky, raw ${decision.rawTier})${colors.reset}` : '';
+        const fallback = decision.servedModel !== decision.routedModel ? ` ${colors.dim}(fallback from ${decision.routedModel})${colors.reset}` : '';
+        const classified = decision.ruleTier ? ` ${colors.dim}(${decision.method}, scorer said ${decision.ruleTier})${colors.reset}` : '';
+        const stream = decision.stream ? ` ${colors.dim}(ttft ${decision.stream.ttftMs ?? '-'}ms, ${decision.stream.chunks} chunks)${colors.reset}` : '';
+        log(`[${decision.tier}] ${decision.servedModel}${cost} (saved ${savings}%)${sticky}${fallback}${classified}${stream}`);
+        if (decision.stream?.error) warn(`Stream from ${decision.servedModel} failed: ${decision.stream.error}`);
+      },
+      onError: (err) => {
+        warn(err.model ? `${err.model} failed (attempt ${err.attempt}): ${err.message}` : err.message);
       },
     });
     
@@ -429,6 +538,9 @@ async function startProxy() {
       log('');
       info('Shutting down proxy...');
       await proxy.close();
+      await budgets.flush();
+      if (cache) await cache.flush();
+      if (semanticCache) await semanticCache.flush();
       process.exit(0);
     });
     
@@ -440,6 +552,48 @@ async function startProxy() {
   }
 }
 
+/**
+ * Register the classifier backend from config; returns the proxy's
+ * `classifier` option ({ name, mode, ambiguousBand })
+ */
+function setupConfiguredClassifier(config) {
+  const { setupClassifier } = require('../src/classifiers');
+  const { mode, ambiguousBand } = config.classifier;
+  const name = setupClassifier(config.classifier, {
+    baseUrl: config.litellmBaseUrl,
+    apiKey: config.litellmApiKey,
+  });
+  return { name, mode, ambiguousBand };
+}
+
+/**
+ * Response and semantic caches from config (`true` takes the defaults)
+ */
+function configuredCaches(config) {
+  const { ResponseCache } = require('../src/cache');
+  const { SemanticCache, createEmbeddingsBackend } = require('../src/semantic');
+  const options = value => (value === true ? {} : value);
+
+  let semanticCache = null;
+  if (config.semanticCache) {
+    const { embeddings, ...semanticOptions } = options(config.semanticCache);
+    semanticCache = new SemanticCache({
+      ...semanticOptions,
+      ...(embeddings && {
+        backend: createEmbeddingsBackend({
+          baseUrl: config.litellmBaseUrl,
+          apiKey: config.litellmApiKey,
+          ...options(embeddings),
+        }),
+      }),
+    });
+  }
+  return {
+    cache: config.cache ? new ResponseCache(options(config.cache)) : null,
+    semanticCache,
+  };
+}
+
 async function stopProxy() {
   const config = getClawRouterConfig();
   const port = config?.proxyPort || DEFAULT_PROXY_PORT;
@@ -454,6 +608,13 @@ async function stopProxy() {
   }
 }
 
+function describePredicate({ when, minScore, maxScore }) {
+  const parts = Object.entries(when).map(([key, min]) => `${key} ≥ ${min}`);
+  if (minScore !== undefined) parts.push(`score ≥ ${minScore}`);
+  if (maxScore !== undefined) parts.push(`score < ${maxScore}`);
+  return parts.join(', ');
+}
+
 async function showStatus() {
   const config = getClawRouterConfig();
   
@@ -468,11 +629,23 @@ async function showStatus() {
   log(`${colors.cyan}LiteLLM Proxy:${colors.reset} ${config.litellmBaseUrl}`);
   log(`${colors.cyan}Router Port:${colors.reset}   ${config.proxyPort}`);
   log('');
-  log(`${colors.dim}Tier Models:${colors.reset}`);
-  for (const [tier, model] of Object.entries(config.tierModels || {})) {
-    log(`  ${tier}: ${model}`);
+  log(`${colors.dim}Tiers (cheapest first):${colors.reset}`);
+  const { order, tierModels, predicates } = configuredTiers(config);
+  for (const tier of order) {
+    const predicate = predicates.find(p => p.tier === tier);
+    const when = predicate ? ` ${colors.dim}(when ${describePredicate(predicate)})${colors.reset}` : '';
+    const candidates = config.candidates?.[tier];
+    const models = candidates
+      ? `${candidates.models.join(' | ')} ${colors.dim}(${candidates.strategy || 'cheapest-healthy'})${colors.reset}`
+      : tierModels[tier];
+    log(`  ${tier}: ${models}${when}`);
   }
   log('');
+  const profiles = Object.keys(config.profiles || {});
+  if (profiles.length > 0) {
+    log(`${colors.dim}Profiles:${colors.reset} ${profiles.map(name => `auto:${name}`).join(', ')}`);
+    log('');
+  }
   
   // Check if proxy is running
   try {
@@ -481,6 +654,10 @@ async function showStatus() {
     });
     if (response.ok) {
       success('Proxy is running');
+      const { queues = {} } = await response.json();
+      for (const [model, queue] of Object.entries(queues)) {
+        log(`  ${model}: ${queue.inFlight}/${queue.maxInFlight} in flight, ${queue.queued} queued`);
+      }
     } else {
       warn('Proxy returned error');
     }
@@ -490,16 +667,49 @@ async function showStatus() {
   }
 }
 
-function testRouting(message) {
+async function testRouting(message, args = []) {
   if (!message) {
-    error('Usage: litellm-clawrouter test "Your message here"');
+    error('Usage: litellm-clawrouter test "Your message here" [--header "X-Team: legal"] [--profile eco] [--explain]');
     process.exit(1);
   }
   
-  const { route, estimateSavings } = require('../src/router');
+  const { routeAsync, estimateSavings } = require('../src/router');
+  const { parseRequest } = require('../src/payload');
+  const { compileRules, matchRule, ruleDecision } = require('../src/rules');
+  const { requestedProfile, profileOptions } = require('../src/profiles');
   const config = getClawRouterConfig();
   
-  const decision = route(message, { tierModels: config?.tierModels });
+  // Headers for header-based rules, from repeated --header "Name: value"
+  const headers = {};
+  args.forEach((arg, i) => {
+    if (arg !== '--header' || !args[i + 1]) return;
+    const [name, ...value] = args[i + 1].split(':');
+    headers[name.trim().toLowerCase()] = value.join(':').trim();
+  });
+  
+  // Same precedence as the proxy: `--profile` (the model suffix), then the header
+  const profile = requestedProfile({ profile: flagValue(args, '--profile') }, headers);
+  let routing;
+  try {
+    routing = profileOptions(config || {}, config?.profiles, profile);
+  } catch (err) {
+    error(err.message);
+    process.exit(1);
+  }
+  
+  const payload = { messages: [{ role: 'user', content: message }] };
+  const { tierModels } = configuredTiers(routing);
+  const rules = compileRules(routing.rules, tierModels);
+  const rule = matchRule(rules, { headers, payload, request: parseRequest(payload, 'chat') });
+  
+  const classifier = config?.classifier && !rule ? setupConfiguredClassifier(config) : null;
+  const decision = rule ? ruleDecision(rule, tierModels) : await routeAsync(message, {
+    tierModels: routing.tierModels,
+    tiers: routing.tiers,
+    weights: routing.weights,
+    thresholds: routing.thresholds,
+    ...(classifier && { classifier: classifier.name, mode: classifier.mode, ambiguousBand: classifier.ambiguousBand }),
+  });
   const savings = estimateSavings(decision.model);
   
   log('');
@@ -507,13 +717,20 @@ function testRouting(message) {
   log('');
   log(`${colors.cyan}Input:${colors.reset} "${message.slice(0, 80)}${message.length > 80 ? '...' : ''}"`);
   log('');
+  if (profile) log(`${colors.cyan}Profile:${colors.reset}    ${profile}`);
   log(`${colors.cyan}Tier:${colors.reset}       ${decision.tier}`);
   log(`${colors.cyan}Model:${colors.reset}      ${decision.model}`);
   log(`${colors.cyan}Confidence:${colors.reset} ${(decision.confidence * 100).toFixed(1)}%`);
+  log(`${colors.cyan}Method:${colors.reset}     ${decision.method}${decision.ruleTier ? ` (scorer said ${decision.ruleTier})` : ''}`);
+  if (decision.classifierError) {
+    warn(`Classifier failed: ${decision.classifierError}`);
+  }
   log(`${colors.cyan}Savings:${colors.reset}    ${(savings * 100).toFixed(0)}% vs Claude Opus`);
   log('');
   
-  if (decision.scores) {
+  if (decision.scores && args.includes('--explain')) {
+    explainMatches(message, decision.scores);
+  } else if (decision.scores) {
     log(`${colors.dim}Dimension Scores:${colors.reset}`);
     const topScores = Object.entries(decision.scores)
       .filter(([_, v]) => v > 0)
@@ -526,6 +743,492 @@ function testRouting(message) {
   log('');
 }
 
+/**
+ * Print the input with every pattern match highlighted, then which patterns
+ * matched for each dimension
+ */
+function explainMatches(message, scores) {
+  const { scoreDimensions } = require('../src/router');
+  const { matches } = scoreDimensions(message, undefined, { explain: true });
+  
+  // Merge overlapping spans so highlights don't nest
+  const spans = Object.values(matches)
+    .flatMap(patterns => patterns.flatMap(p => p.matches))
+    .map(m => [m.index, m.index + m.text.length])
+    .sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of spans) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  let highlighted = '';
+  let cursor = 0;
+  for (const [start, end] of merged) {
+    highlighted += message.slice(cursor, start) + colors.yellow + colors.bright + message.slice(start, end) + colors.reset;
+    cursor = end;
+  }
+  highlighted += message.slice(cursor);
+  
+  log(`${colors.dim}Matches:${colors.reset}`);
+  log(`  ${highlighted}`);
+  log('');
+  for (const [dim, patterns] of Object.entries(matches)) {
+    log(`  ${colors.cyan}${dim}${colors.reset} ${((scores[dim] || 0) * 100).toFixed(0)}%`);
+    for (const { pattern, matches: found } of patterns) {
+      const where = found.map(m => `"${m.text}"@${m.index}`).join(', ');
+      log(`    ${colors.dim}/${pattern}/${colors.reset} ${where}`);
+    }
+  }
+  if (Object.keys(matches).length === 0) {
+    log(`  ${colors.dim}No patterns matched${colors.reset}`);
+  }
+}
+
+/**
+ * Parse a duration like "30m", "24h" or "7d" into milliseconds
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(m|h|d)$/.exec(value || '');
+  if (!match) return null;
+  const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2]];
+  return parseFloat(match[1]) * unit;
+}
+
+function showStats(args) {
+  const sinceIndex = args.indexOf('--since');
+  const window = sinceIndex >= 0 ? args[sinceIndex + 1] : '24h';
+  const windowMs = parseDuration(window);
+  if (!windowMs) {
+    error('Usage: litellm-clawrouter stats [--since 30m|24h|7d]');
+    process.exit(1);
+  }
+
+  const { RoutingLog, summarize } = require('../src/log');
+  const config = getClawRouterConfig();
+  const routingLog = new RoutingLog(config?.routingLog || {});
+  const summary = summarize(routingLog.read({ since: new Date(Date.now() - windowMs) }));
+
+  log('');
+  log(`${colors.bright}Routing Stats${colors.reset} ${colors.dim}(last ${window})${colors.reset}`);
+  log('');
+
+  if (summary.total === 0) {
+    info(`No routing decisions logged in ${routingLog.path}`);
+    log('');
+    return;
+  }
+
+  const percent = (n) => `${((n / summary.total) * 100).toFixed(1)}%`;
+  log(`${colors.cyan}Requests:${colors.reset}    ${summary.total}`);
+  log(`${colors.cyan}Errors:${colors.reset}      ${summary.errors} (${(summary.errorRate * 100).toFixed(1)}%)`);
+  log(`${colors.cyan}Avg latency:${colors.reset} ${Math.round(summary.avgLatencyMs)}ms`);
+  if (summary.streams > 0) {
+    const ttft = summary.avgTtftMs !== null ? `${Math.round(summary.avgTtftMs)}ms` : 'n/a';
+    const streamErrors = summary.streamErrors ? ` ${colors.red}(${summary.streamErrors} with errors)${colors.reset}` : '';
+    log(`${colors.cyan}Streams:${colors.reset}     ${summary.streams}, avg time to first token ${ttft}${streamErrors}`);
+  }
+  log(`${colors.cyan}Est. spend:${colors.reset}  $${summary.spend.toFixed(4)}` +
+    (summary.unmetered ? ` ${colors.dim}(${summary.unmetered} requests without usage)${colors.reset}` : ''));
+  if (summary.baselineSpend > 0) {
+    const saved = (summary.baselineSpend - summary.spend) / summary.baselineSpend;
+    log(`${colors.cyan}Baseline:${colors.reset}    $${summary.baselineSpend.toFixed(4)} ${colors.dim}(saved ${(saved * 100).toFixed(0)}%)${colors.reset}`);
+  }
+  log('');
+  log(`${colors.dim}Tiers:${colors.reset}`);
+  for (const [tier, count] of Object.entries(summary.tiers).sort((a, b) => b[1] - a[1])) {
+    log(`  ${tier.padEnd(10)} ${String(count).padStart(6)}  ${percent(count)}`);
+  }
+  log('');
+  log(`${colors.dim}Models:${colors.reset}`);
+  for (const [model, count] of Object.entries(summary.models).sort((a, b) => b[1] - a[1])) {
+    log(`  ${model.padEnd(30)} ${String(count).padStart(6)}  ${percent(count)}`);
+  }
+  log('');
+}
+
+function formatTotals(totals) {
+  const saved = totals.baselineCost > 0 ? (totals.baselineCost - totals.cost) / totals.baselineCost : 0;
+  return `${totals.requests} requests, ${totals.inputTokens + totals.outputTokens} tokens, ` +
+    `$${totals.cost.toFixed(4)} ${colors.dim}(baseline $${totals.baselineCost.toFixed(4)}, saved ${(saved * 100).toFixed(0)}%)${colors.reset}`;
+}
+
+async function showUsage() {
+  const config = getClawRouterConfig();
+  const port = config?.proxyPort || DEFAULT_PROXY_PORT;
+
+  let usage;
+  try {
+    const response = await fetch(`http://localhost:${port}/v1/clawrouter/usage`, {
+      headers: adminHeaders(config),
+      signal: AbortSignal.timeout(2000),
+    });
+    usage = await response.json();
+  } catch {
+    warn('Proxy is not running');
+    info('Start with: litellm-clawrouter start');
+    return;
+  }
+  if (usage.error) {
+    error(usage.error.message);
+    return;
+  }
+
+  log('');
+  log(`${colors.bright}Actual Spend${colors.reset} ${colors.dim}(since proxy start, vs ${usage.baselineModel})${colors.reset}`);
+  log('');
+  log(`${colors.cyan}Total:${colors.reset} ${formatTotals(usage.totals)}`);
+  log('');
+  log(`${colors.dim}By day (UTC):${colors.reset}`);
+  for (const [day, totals] of Object.entries(usage.days).sort().reverse()) {
+    log(`  ${day}  ${formatTotals(totals)}`);
+  }
+  if (usage.budgets && Object.keys(usage.budgets).length > 0) {
+    log('');
+    log(`${colors.dim}Budget spend (today / this month):${colors.reset}`);
+    for (const [scope, spend] of Object.entries(usage.budgets)) {
+      log(`  ${scope}  $${spend.daily.toFixed(4)} / $${spend.monthly.toFixed(4)}`);
+    }
+  }
+  if (usage.cache) {
+    const { entries, bytes, hits, misses } = usage.cache;
+    const hitRate = hits + misses ? ` (${((hits / (hits + misses)) * 100).toFixed(0)}% hits)` : '';
+    log('');
+    log(`${colors.cyan}Cache:${colors.reset} ${hits} hits, ${misses} misses${hitRate}; ${entries} entries, ${(bytes / 1024).toFixed(0)} KB`);
+  }
+  if (usage.semanticCache) {
+    const { backend, entries, hits, misses } = usage.semanticCache;
+    const hitRate = hits + misses ? ` (${((hits / (hits + misses)) * 100).toFixed(0)}% hits)` : '';
+    if (!usage.cache) log('');
+    log(`${colors.cyan}Semantic cache:${colors.reset} ${hits} hits, ${misses} misses${hitRate}; ${entries} entries ${colors.dim}(${backend})${colors.reset}`);
+  }
+  const sessions = Object.entries(usage.sessions).sort((a, b) => b[1].cost - a[1].cost).slice(0, 10);
+  if (sessions.length > 0) {
+    log('');
+    log(`${colors.dim}Top sessions:${colors.reset}`);
+    for (const [session, totals] of sessions) {
+      log(`  ${session}  ${formatTotals(totals)}`);
+    }
+  }
+  log('');
+}
+
+/**
+ * `cache [list] | cache purge` — through the running proxy when there is
+ * one, otherwise directly on the cache files
+ */
+async function manageCache(args) {
+  const config = getClawRouterConfig();
+  const port = config?.proxyPort || DEFAULT_PROXY_PORT;
+  const purge = args[0] === 'purge';
+  const tier = flagValue(args, '--tier');
+  const id = flagValue(args, '--id');
+  const type = flagValue(args, '--type');
+  if (type && type !== 'exact' && type !== 'semantic') {
+    error('--type must be exact or semantic');
+    process.exit(1);
+  }
+
+  const query = new URLSearchParams();
+  if (tier) query.set('tier', tier);
+  if (id) query.set('id', id);
+  if (type) query.set('type', type);
+
+  let result;
+  try {
+    const response = await fetch(`http://localhost:${port}/v1/clawrouter/cache?${query}`, {
+      method: purge ? 'DELETE' : 'GET',
+      headers: adminHeaders(config),
+      signal: AbortSignal.timeout(2000),
+    });
+    result = await response.json();
+  } catch {
+    // Proxy not running: work on the files it left behind
+    const { cache, semanticCache } = configuredCaches({ cache: true, semanticCache: true, ...config });
+    const caches = { exact: cache, semantic: semanticCache };
+    result = {};
+    for (const [name, store] of Object.entries(caches)) {
+      if (!store || (type && type !== name)) continue;
+      if (purge) {
+        result[name] = { removed: store.purge({ tier, id }) };
+        await store.flush();
+      } else {
+        const entries = store.list().filter(entry => !tier || entry.tier === tier);
+        result[name] = { ...store.snapshot(), entries };
+      }
+    }
+  }
+  if (result.error) {
+    error(result.error.message);
+    return;
+  }
+
+  log('');
+  for (const [name, data] of Object.entries(result)) {
+    if (purge) {
+      success(`Removed ${data.removed} ${name} cache entr${data.removed === 1 ? 'y' : 'ies'}`);
+      continue;
+    }
+    const backend = data.backend ? ` ${colors.dim}(${data.backend})${colors.reset}` : '';
+    log(`${colors.bright}${name === 'exact' ? 'Response' : 'Semantic'} cache${colors.reset}${backend}: ${data.entries.length} entries`);
+    for (const entry of data.entries) {
+      const hits = entry.hits !== undefined ? `, ${entry.hits} hits` : '';
+      log(`  ${colors.dim}${entry.id}${colors.reset} ${tierColor(entry.tier)}${entry.tier}${colors.reset} ${entry.model} ` +
+        `${colors.dim}(${(entry.bytes / 1024).toFixed(1)} KB${hits})${colors.reset} ${JSON.stringify(entry.preview || '')}`);
+    }
+    log('');
+  }
+  if (Object.keys(result).length === 0) info('No caches configured');
+  if (purge || Object.keys(result).length === 0) log('');
+}
+
+/**
+ * Headers for the proxy's admin endpoints, which only accept the
+ * configured LiteLLM key once client keys are in use
+ */
+function adminHeaders(config) {
+  return config?.litellmApiKey ? { 'Authorization': `Bearer ${config.litellmApiKey}` } : {};
+}
+
+/**
+ * `keys create | list | revoke`. Edits the keys file directly; a running
+ * proxy picks up the change within a second.
+ */
+function manageKeys(args) {
+  const { KeyStore } = require('../src/keys');
+  const { profileOptions } = require('../src/profiles');
+  const config = getClawRouterConfig() || {};
+  const store = new KeyStore();
+  const command = args[0] || 'list';
+
+  if (command === 'create') {
+    const name = positionalArg(args.slice(1), ['--upstream-key', '--profiles', '--tiers', '--rpm', '--tpm', '--daily', '--monthly']);
+    const listFlag = flag => flagValue(args, flag)?.split(',').map(v => v.trim()).filter(Boolean) || null;
+    const amountFlag = (flag) => {
+      const value = flagValue(args, flag);
+      if (value === undefined) return undefined;
+      if (!(Number(value) > 0)) {
+        error(`${flag} must be a positive number`);
+        process.exit(1);
+      }
+      return Number(value);
+    };
+
+    const profiles = listFlag('--profiles');
+    const unknown = (profiles || []).filter(p => !config.profiles?.[p]);
+    if (unknown.length > 0) {
+      error(`Unknown profile(s): ${unknown.join(', ')}`);
+      process.exit(1);
+    }
+    const tiers = listFlag('--tiers');
+    const known = new Set([null, ...Object.keys(config.profiles || {})]
+      .flatMap(p => configuredTiers(profileOptions(config, config.profiles, p)).order));
+    const unknownTiers = (tiers || []).filter(t => !known.has(t));
+    if (unknownTiers.length > 0) {
+      warn(`No configured profile has tier(s): ${unknownTiers.join(', ')}`);
+    }
+    const rpm = amountFlag('--rpm');
+    const tpm = amountFlag('--tpm');
+    const daily = amountFlag('--daily');
+    const monthly = amountFlag('--monthly');
+
+    let created;
+    try {
+      created = store.create(name, {
+        upstreamKey: flagValue(args, '--upstream-key') || null,
+        profiles,
+        tiers,
+        rateLimit: rpm || tpm ? { requestsPerMinute: rpm, tokensPerMinute: tpm } : null,
+        budget: daily || monthly ? { daily, monthly } : null,
+      });
+    } catch (e) {
+      error(e.message);
+      process.exit(1);
+    }
+    success(`Created key "${created.record.name}" (${created.record.id})`);
+    log('');
+    log(`  ${colors.bright}${created.key}${colors.reset}`);
+    log('');
+    warn('Copy it now: only its hash is stored');
+    info('Clients send it as "Authorization: Bearer <key>". Once a key exists, requests without one are refused;');
+    info(`give OpenClaw a key too (apiKey of the litellm-clawrouter provider in ${OPENCLAW_CONFIG_PATH})`);
+    return;
+  }
+
+  if (command === 'revoke') {
+    const record = args[1] && store.revoke(args[1]);
+    if (!record) {
+      error(`No active key "${args[1] || ''}"`);
+      process.exit(1);
+    }
+    success(`Revoked key "${record.name}" (${record.id})`);
+    return;
+  }
+
+  if (command !== 'list') {
+    error('Usage: litellm-clawrouter keys create <name> | keys list | keys revoke <id|name>');
+    process.exit(1);
+  }
+  const records = store.list();
+  log('');
+  if (records.length === 0) {
+    info('No client keys; the proxy accepts any request');
+    log('');
+    return;
+  }
+  for (const record of records) {
+    const state = record.revokedAt
+      ? `${colors.red}revoked ${new Date(record.revokedAt).toISOString().slice(0, 10)}${colors.reset}`
+      : `${colors.green}active${colors.reset}`;
+    const limits = [
+      record.upstreamKey && 'own upstream key',
+      record.profiles && `profiles ${record.profiles.join(',')}`,
+      record.tiers && `tiers ${record.tiers.join(',')}`,
+      record.rateLimit?.requestsPerMinute && `${record.rateLimit.requestsPerMinute} requests/min`,
+      record.rateLimit?.tokensPerMinute && `${record.rateLimit.tokensPerMinute} tokens/min`,
+      record.budget?.daily && `$${record.budget.daily}/day`,
+      record.budget?.monthly && `$${record.budget.monthly}/month`,
+    ].filter(Boolean);
+    log(`  ${record.id}  ${colors.bright}${record.name}${colors.reset} ${colors.dim}${record.hint}${colors.reset}  ${state}`);
+    if (limits.length > 0) log(`    ${colors.dim}${limits.join(', ')}${colors.reset}`);
+  }
+  log('');
+}
+
+function printConfusion(title, result) {
+  const tiers = Object.keys(result.matrix);
+  const width = Math.max(10, ...tiers.map(t => t.length + 1));
+  log(`${colors.cyan}${title}:${colors.reset} ${(result.accuracy * 100).toFixed(1)}% accuracy on ${result.total} prompts`);
+  log(`  ${colors.dim}${'expected \\ routed'.padEnd(20)}${tiers.map(t => t.padStart(width)).join('')}${colors.reset}`);
+  for (const expected of tiers) {
+    const row = result.matrix[expected];
+    log(`  ${expected.padEnd(20)}${tiers.map(t => String(row[t] || 0).padStart(width)).join('')}`);
+  }
+  log('');
+}
+
+/**
+ * Value of a `--name value` flag, or undefined
+ */
+function flagValue(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+/**
+ * First argument that is neither a flag nor a flag's value
+ */
+function positionalArg(args, valueFlags) {
+  return args.find((arg, i) => !arg.startsWith('--') && !valueFlags.includes(args[i - 1]));
+}
+
+function trainWeights(args) {
+  const holdoutValue = flagValue(args, '--holdout');
+  const holdout = holdoutValue !== undefined ? parseFloat(holdoutValue) : undefined;
+  const datasetPath = positionalArg(args, ['--holdout']);
+  if (!datasetPath || (holdout !== undefined && !(holdout >= 0 && holdout < 1))) {
+    error('Usage: litellm-clawrouter train <dataset.jsonl> [--holdout 0.2] [--dry-run]');
+    process.exit(1);
+  }
+
+  const { loadDataset, splitDataset, fitWeights } = require('../src/train');
+  const { evaluate } = require('../src/eval');
+  const config = getClawRouterConfig();
+  const examples = loadDataset(datasetPath);
+  const { train, test } = splitDataset(examples, { holdout });
+  // With no held-out split, report on the training data itself
+  const evalSet = test.length > 0 ? test : train;
+
+  log('');
+  log(`${colors.bright}Training Routing Weights${colors.reset}`);
+  log('');
+  info(`${examples.length} labelled prompts (${train.length} train, ${test.length} held out)`);
+
+  const fitted = fitWeights(train);
+  log(`${colors.cyan}Final loss:${colors.reset} ${fitted.loss.toFixed(4)} over ${fitted.examples} SIMPLE/MEDIUM/COMPLEX prompts`);
+  log(`${colors.cyan}Thresholds:${colors.reset} simple < ${fitted.thresholds.simple}, medium < ${fitted.thresholds.medium}`);
+  log('');
+
+  const tierOptions = { tierModels: config?.tierModels, tiers: config?.tiers };
+  printConfusion('Current weights', evaluate(evalSet, { ...tierOptions, weights: config?.weights, thresholds: config?.thresholds }));
+  printConfusion('Fitted weights', evaluate(evalSet, { ...tierOptions, weights: fitted.weights, thresholds: fitted.thresholds }));
+
+  if (args.includes('--dry-run')) {
+    info('Dry run: config not changed');
+  } else if (!config) {
+    warn('No configuration found; run setup first to save the fitted weights');
+  } else {
+    saveClawRouterConfig({ ...config, weights: fitted.weights, thresholds: fitted.thresholds });
+    success(`Saved weights and thresholds to ${CLAWROUTER_CONFIG_PATH}`);
+    info('Restart the proxy to use them');
+  }
+  log('');
+}
+
+function evalCorpus(args) {
+  const valueFlags = ['--compare', '--save', '--baseline'];
+  const corpusPath = positionalArg(args, valueFlags);
+  if (!corpusPath) {
+    error('Usage: litellm-clawrouter eval <corpus.jsonl> [--compare previous.jsonl] [--save results.jsonl] [--baseline model]');
+    process.exit(1);
+  }
+
+  const { loadCorpus, runEval, diffRuns, loadRun, saveRun } = require('../src/eval');
+  const config = getClawRouterConfig();
+  const baselineModel = flagValue(args, '--baseline') || config?.baselineModel;
+  const entries = loadCorpus(corpusPath);
+  const run = runEval(entries, {
+    tierModels: config?.tierModels,
+    tiers: config?.tiers,
+    weights: config?.weights,
+    thresholds: config?.thresholds,
+    ...(baselineModel && { baselineModel }),
+  });
+
+  log('');
+  log(`${colors.bright}Routing Evaluation${colors.reset} ${colors.dim}(${entries.length} prompts, ${run.labelled} labelled)${colors.reset}`);
+  log('');
+
+  const percent = (n) => `${((n / entries.length) * 100).toFixed(1)}%`;
+  log(`${colors.dim}Tiers:${colors.reset}`);
+  for (const [tier, count] of Object.entries(run.tiers).sort((a, b) => b[1] - a[1])) {
+    log(`  ${tier.padEnd(10)} ${String(count).padStart(6)}  ${percent(count)}`);
+  }
+  log('');
+
+  if (run.metrics) {
+    printConfusion('Expected tiers', run.confusion);
+    const format = v => (v === null ? '-' : `${(v * 100).toFixed(1)}%`).padStart(10);
+    log(`  ${colors.dim}${'tier'.padEnd(12)}${'precision'.padStart(10)}${'recall'.padStart(10)}${'support'.padStart(10)}${colors.reset}`);
+    for (const [tier, m] of Object.entries(run.metrics)) {
+      log(`  ${tier.padEnd(12)}${format(m.precision)}${format(m.recall)}${String(m.support).padStart(10)}`);
+    }
+    log('');
+  }
+
+  log(`${colors.cyan}Projected cost:${colors.reset} $${run.cost.toFixed(4)} ${colors.dim}(baseline $${run.baselineCost.toFixed(4)}, saved ${(run.savings * 100).toFixed(0)}%)${colors.reset}`);
+  log('');
+
+  const comparePath = flagValue(args, '--compare');
+  if (comparePath) {
+    const changes = diffRuns(loadRun(comparePath), run.results);
+    log(`${colors.cyan}Changed tiers:${colors.reset} ${changes.length} prompts vs ${comparePath}`);
+    for (const change of changes.slice(0, 20)) {
+      const preview = change.prompt.replace(/\s+/g, ' ').slice(0, 60);
+      log(`  ${change.from.padEnd(10)} → ${change.to.padEnd(10)} ${colors.dim}${preview}${colors.reset}`);
+    }
+    if (changes.length > 20) log(`  ${colors.dim}... and ${changes.length - 20} more${colors.reset}`);
+    log('');
+  }
+
+  const savePath = flagValue(args, '--save');
+  if (savePath) {
+    saveRun(savePath, run.results);
+    success(`Saved results to ${savePath} (compare later with --compare)`);
+    log('');
+  }
+}
+
 process.on('uncaughtException', (e) => {
   error(e.message);
   process.exit(1);
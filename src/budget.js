@@ -0,0 +1,142 @@
+/**
+ * LiteLLM ClawRouter - Budget caps
+ *
+ * Tracks actual spend per consumer and globally over UTC days and months,
+ * persisted to disk so limits survive proxy restarts. Past `downgradeAt`
+ * of a limit the router caps the tier; past 100% requests are rejected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LOG_DIR, StateFile } = require('./log');
+
+const BUDGET_STATE_FILE = 'budget-state.json';
+
+const DEFAULT_BUDGET_OPTIONS = {
+  global: {},            // { daily, monthly } in USD
+  consumers: {},         // consumer id → { daily, monthly }
+  downgradeAt: 0.8,      // fraction of a limit after which tiers are capped
+  downgradeTo: 'MEDIUM', // highest tier allowed once capped
+  rejectStatus: 402,     // 402 Payment Required, or 429
+};
+
+// Header naming the API consumer a request is billed to
+const CONSUMER_HEADER = 'x-clawrouter-consumer';
+
+function periodKeys(now) {
+  const iso = new Date(now).toISOString();
+  return { daily: `day:${iso.slice(0, 10)}`, monthly: `month:${iso.slice(0, 7)}` };
+}
+
+/**
+ * Consumer id from the consumer header or the request's `user` field
+ */
+function consumerOf(headers = {}, payload = {}) {
+  if (headers[CONSUMER_HEADER]) return String(headers[CONSUMER_HEADER]);
+  if (typeof payload.user === 'string' && payload.user) return payload.user;
+  return null;
+}
+
+class BudgetManager {
+  constructor(options = {}) {
+    const { statePath = path.join(DEFAULT_LOG_DIR, BUDGET_STATE_FILE), ...budgets } = options;
+    this.options = { ...DEFAULT_BUDGET_OPTIONS, ...budgets };
+    this.statePath = statePath;
+    this.spend = this.load();
+    this.state = new StateFile(statePath, () => JSON.stringify({ spend: this.spend }, null, 2), {
+      label: 'Budget state',
+    });
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf8')).spend || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Limits that apply to a consumer, as [scope, { daily, monthly }] pairs.
+   * `limits` overrides the consumer's configured limits (client keys carry
+   * their own).
+   */
+  scopes(consumer, limits = this.options.consumers?.[consumer]) {
+    const scopes = [['global', this.options.global || {}]];
+    if (consumer && limits) {
+      scopes.push([`consumer:${consumer}`, limits]);
+    }
+    return scopes;
+  }
+
+  /**
+   * Budget state for a consumer: 'ok', 'downgrade' (with `maxTier`) or
+   * 'reject', plus the most-used limit that decided it
+   */
+  check(consumer, now = Date.now(), consumerLimits) {
+    const keys = periodKeys(now);
+    let worst = null;
+
+    for (const [scope, limits] of this.scopes(consumer, consumerLimits)) {
+      for (const period of ['daily', 'monthly']) {
+        const limit = limits[period];
+        if (!(limit > 0)) continue;
+        const spent = this.spend[scope]?.[keys[period]] || 0;
+        const ratio = spent / limit;
+        if (!worst || ratio > worst.ratio) {
+          worst = { scope, period, spent, limit, ratio };
+        }
+      }
+    }
+
+    if (!worst || worst.ratio < this.options.downgradeAt) {
+      return { state: 'ok', limit: worst };
+    }
+    if (worst.ratio >= 1) {
+      return { state: 'reject', limit: worst };
+    }
+    return { state: 'downgrade', maxTier: this.options.downgradeTo, limit: worst };
+  }
+
+  /**
+   * Add actual spend to the global and consumer totals. They are saved in
+   * batches; flush() writes them now.
+   */
+  record(consumer, cost, now = Date.now(), consumerLimits) {
+    if (!(cost > 0)) return;
+    const keys = periodKeys(now);
+
+    for (const [scope] of this.scopes(consumer, consumerLimits)) {
+      const totals = this.spend[scope] || {};
+      // Only the current day and month matter; drop older periods
+      for (const key of Object.keys(totals)) {
+        if (key !== keys.daily && key !== keys.monthly) delete totals[key];
+      }
+      totals[keys.daily] = (totals[keys.daily] || 0) + cost;
+      totals[keys.monthly] = (totals[keys.monthly] || 0) + cost;
+      this.spend[scope] = totals;
+    }
+
+    this.state.saveSoon();
+  }
+
+  flush() {
+    return this.state.flush();
+  }
+
+  snapshot(now = Date.now()) {
+    const keys = periodKeys(now);
+    const snapshot = {};
+    for (const [scope, totals] of Object.entries(this.spend)) {
+      snapshot[scope] = { daily: totals[keys.daily] || 0, monthly: totals[keys.monthly] || 0 };
+    }
+    return snapshot;
+  }
+}
+
+module.exports = {
+  BudgetManager,
+  consumerOf,
+  CONSUMER_HEADER,
+  DEFAULT_BUDGET_OPTIONS,
+};
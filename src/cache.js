@@ -0,0 +1,199 @@
+/**
+ * LiteLLM ClawRouter - Response cache
+ *
+ * Opt-in cache for deterministic routed requests: temperature 0, or any
+ * request sent with `x-clawrouter-cache: on`. Entries are keyed on the
+ * normalized payload as routed (so the routed model is part of the key),
+ * expire after a TTL, are evicted least recently used past the size limits
+ * and are persisted under ~/.openclaw/litellm-clawrouter/. Streaming
+ * responses are stored as their SSE text and replayed as SSE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_LOG_DIR, StateFile } = require('./log');
+
+const CACHE_FILE = 'response-cache.json';
+
+// Request header: `on` opts a request in, `off` bypasses the cache.
+// Responses carry it back as `hit` or `miss`.
+const CACHE_HEADER = 'x-clawrouter-cache';
+
+const DEFAULT_CACHE_OPTIONS = {
+  ttlMs: 60 * 60 * 1000,          // entries expire an hour after being stored
+  maxEntries: 1000,
+  maxBytes: 50 * 1024 * 1024,     // total size of stored bodies
+  maxEntryBytes: 1024 * 1024,     // larger responses are not cached
+  saveDelayMs: 1000,              // writes to disk are batched this long
+};
+
+// Payload fields that don't change the response; every other field
+// (including ones added to the APIs later) is part of the key
+const IGNORED_FIELDS = ['user', 'metadata', 'stream_options'];
+
+/**
+ * JSON with object keys sorted, so key order doesn't change the hash
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Cache key for a routed payload (`model` already set to the routed model)
+ */
+function cacheKey(payload) {
+  const normalized = { ...payload };
+  for (const field of IGNORED_FIELDS) delete normalized[field];
+  return crypto.createHash('sha256').update(canonicalJson(normalized)).digest('hex');
+}
+
+/**
+ * Whether a request opted out of caching with `x-clawrouter-cache: off`
+ */
+function cacheBypassed(headers = {}) {
+  return String(headers[CACHE_HEADER] || '').toLowerCase() === 'off';
+}
+
+/**
+ * Whether a request may be answered from the cache
+ */
+function isCacheable(payload, headers = {}) {
+  if (cacheBypassed(headers)) return false;
+  return String(headers[CACHE_HEADER] || '').toLowerCase() === 'on' || payload.temperature === 0;
+}
+
+class ResponseCache {
+  constructor(options = {}) {
+    const { statePath = path.join(DEFAULT_LOG_DIR, CACHE_FILE), ...cacheOptions } = options;
+    this.options = { ...DEFAULT_CACHE_OPTIONS, ...cacheOptions };
+    // `statePath: null` keeps the cache in memory only
+    this.statePath = statePath;
+    this.entries = this.load();
+    this.bytes = [...this.entries.values()].reduce((sum, entry) => sum + entry.bytes, 0);
+    this.hits = 0;
+    this.misses = 0;
+    this.state = new StateFile(statePath, () => JSON.stringify({ entries: [...this.entries] }), {
+      delayMs: this.options.saveDelayMs,
+      label: 'Response cache',
+    });
+  }
+
+  load() {
+    if (!this.statePath) return new Map();
+    try {
+      const { entries = [] } = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+      const now = Date.now();
+      return new Map(entries.filter(([, entry]) => entry.expiresAt > now));
+    } catch {
+      return new Map();
+    }
+  }
+
+  /**
+   * Stored entry for a key, or null; hits move the entry to the back of
+   * the eviction order
+   */
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= now) {
+      if (entry) this.delete(key);
+      this.misses++;
+      return null;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry;
+  }
+
+  /**
+   * Store a response: { status, contentType, body, model, tier, preview }.
+   * Returns false when it is too large to cache.
+   */
+  set(key, response, now = Date.now()) {
+    const bytes = Buffer.byteLength(response.body);
+    if (bytes > this.options.maxEntryBytes) return false;
+    this.delete(key);
+    this.entries.set(key, { ...response, bytes, createdAt: now, expiresAt: now + this.options.ttlMs });
+    this.bytes += bytes;
+
+    // Evict least recently used entries past either limit
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.options.maxEntries && this.bytes <= this.options.maxBytes) break;
+      this.delete(oldest);
+    }
+    this.saveSoon();
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    this.saveSoon();
+    return true;
+  }
+
+  /**
+   * Entries without their bodies, most recently used first
+   */
+  list() {
+    return [...this.entries].reverse().map(([key, entry]) => ({
+      id: key,
+      tier: entry.tier,
+      model: entry.model,
+      preview: entry.preview,
+      bytes: entry.bytes,
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt,
+    }));
+  }
+
+  /**
+   * Remove entries matching { id, tier } (all entries when empty);
+   * returns how many were removed
+   */
+  purge(filter = {}) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (filter.id && key !== filter.id) continue;
+      if (filter.tier && entry.tier !== filter.tier) continue;
+      this.delete(key);
+      removed++;
+    }
+    return removed;
+  }
+
+  saveSoon() {
+    this.state.saveSoon();
+  }
+
+  /**
+   * Write any batched changes now; resolves once they are on disk
+   */
+  flush() {
+    return this.state.flush();
+  }
+
+  snapshot() {
+    return { entries: this.entries.size, bytes: this.bytes, hits: this.hits, misses: this.misses };
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  cacheKey,
+  isCacheable,
+  cacheBypassed,
+  CACHE_HEADER,
+  DEFAULT_CACHE_OPTIONS,
+};
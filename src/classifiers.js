@@ -0,0 +1,182 @@
+/**
+ * LiteLLM ClawRouter - Classifier backends
+ *
+ * Alternatives to the rule-based scorer, registered through
+ * registerClassifier() in router.js:
+ *   - knn:       nearest neighbours over labelled example prompts (local)
+ *   - llm-judge: asks a cheap model via LiteLLM which tier fits
+ */
+
+const fs = require('fs');
+const { registerClassifier, TIER_ORDER } = require('./router');
+
+/**
+ * Lowercased word tokens (CJK characters count as single tokens)
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[぀-ヿ一-鿿]|[\p{L}\p{N}_]+/gu) || []);
+}
+
+function termFrequencies(tokens) {
+  const tf = new Map();
+  for (const token of tokens) tf.set(token, (tf.get(token) || 0) + 1);
+  return tf;
+}
+
+/**
+ * Read labelled examples from a JSONL file of { prompt, tier } lines
+ */
+function loadExamples(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line))
+    .filter(example => typeof example.prompt === 'string' && example.tier);
+}
+
+/**
+ * Nearest-neighbour classifier: TF-IDF cosine similarity against labelled
+ * examples, with the top `k` voting by similarity. Confidence is the share
+ * of the vote the winning tier got. Abstains when nothing is similar.
+ */
+function createKnnClassifier(examples, options = {}) {
+  const { k = 5, minSimilarity = 0.1 } = options;
+
+  const documents = examples.map(example => termFrequencies(tokenize(example.prompt)));
+  const documentFrequency = new Map();
+  for (const tf of documents) {
+    for (const token of tf.keys()) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+  const idf = token => Math.log((1 + documents.length) / (1 + (documentFrequency.get(token) || 0))) + 1;
+
+  const vectorize = (tf) => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [token, count] of tf) {
+      const weight = count * idf(token);
+      vector.set(token, weight);
+      norm += weight * weight;
+    }
+    return { vector, norm: Math.sqrt(norm) };
+  };
+  const vectors = documents.map(vectorize);
+
+  const cosine = (a, b) => {
+    if (a.norm === 0 || b.norm === 0) return 0;
+    let dot = 0;
+    for (const [token, weight] of a.vector) {
+      dot += weight * (b.vector.get(token) || 0);
+    }
+    return dot / (a.norm * b.norm);
+  };
+
+  return {
+    classify(prompt) {
+      const query = vectorize(termFrequencies(tokenize(prompt)));
+      const neighbours = vectors
+        .map((vector, i) => ({ tier: examples[i].tier, similarity: cosine(query, vector) }))
+        .filter(n => n.similarity >= minSimilarity)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, k);
+      if (neighbours.length === 0) return null;
+
+      const votes = {};
+      let total = 0;
+      for (const { tier, similarity } of neighbours) {
+        votes[tier] = (votes[tier] || 0) + similarity;
+        total += similarity;
+      }
+      const [tier, weight] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+      return { tier, confidence: weight / total };
+    },
+  };
+}
+
+/**
+ * LLM judge: asks a cheap model through LiteLLM to pick a tier.
+ * Abstains when the reply doesn't name one of the configured tiers.
+ */
+function createLlmJudge(options = {}) {
+  const {
+    baseUrl,
+    apiKey,
+    model = 'gemini/gemini-2.0-flash',
+    timeoutMs = 5000,
+    confidence = 0.8,
+  } = options;
+
+  if (!baseUrl) {
+    throw new Error('llm-judge classifier requires baseUrl');
+  }
+  const url = baseUrl.replace(/\/$/, '') + '/v1/chat/completions';
+
+  return {
+    async classify(prompt, context = {}) {
+      const tiers = context.tierOrder || TIER_ORDER;
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+        },
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          max_tokens: 10,
+          messages: [
+            {
+              role: 'system',
+              content: `Classify how capable a model must be to answer the user's prompt. ` +
+                `Tiers from cheapest to most capable: ${tiers.join(', ')}. ` +
+                `${tiers.includes('REASONING') ? 'REASONING is for proofs and step-by-step logic. ' : ''}` +
+                `Reply with the tier name only.`,
+            },
+            { role: 'user', content: prompt.slice(0, 8000) },
+          ],
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        throw new Error(`llm-judge HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      const reply = String(data.choices?.[0]?.message?.content || '').toUpperCase();
+      const tier = tiers.find(t => new RegExp(`\\b${t}\\b`).test(reply));
+      return tier ? { tier, confidence } : null;
+    },
+  };
+}
+
+/**
+ * Build and register a classifier from config:
+ *   { type: 'knn', examples: 'path.jsonl' | [...], k }
+ *   { type: 'llm-judge', model, timeoutMs }
+ * `upstream` supplies the LiteLLM base URL and key for the judge.
+ * Returns the name it was registered under.
+ */
+function setupClassifier(config, upstream = {}) {
+  const { type, name = type } = config;
+  let classifier;
+
+  if (type === 'knn') {
+    const examples = typeof config.examples === 'string' ? loadExamples(config.examples) : config.examples || [];
+    classifier = createKnnClassifier(examples, config);
+  } else if (type === 'llm-judge') {
+    classifier = createLlmJudge({ baseUrl: upstream.baseUrl, apiKey: upstream.apiKey, ...config });
+  } else {
+    throw new Error(`Unknown classifier type "${type}"`);
+  }
+
+  registerClassifier(name, classifier);
+  return name;
+}
+
+module.exports = {
+  createKnnClassifier,
+  createLlmJudge,
+  setupClassifier,
+  loadExamples,
+};
@@ -0,0 +1,175 @@
+/**
+ * LiteLLM ClawRouter - Offline evaluation
+ *
+ * Runs route() over a JSONL corpus of prompts and measures the result:
+ * per-tier precision/recall against expected tiers, projected cost vs.
+ * the baseline model, and which prompts changed tier since a previous run.
+ */
+
+const fs = require('fs');
+const {
+  route,
+  resolveTiers,
+  estimateCost,
+  TIER_ORDER,
+  DEFAULT_BASELINE_MODEL,
+} = require('./router');
+const { estimateTokens } = require('./payload');
+
+/**
+ * Read prompts from JSONL. `expectedTier` (or `tier`, when no routed tier
+ * is being annotated) labels a prompt; unlabelled prompts get tier null.
+ * Optional `signals` and `usage` ({ inputTokens, outputTokens }) are kept.
+ */
+function loadCorpus(filePath) {
+  const entries = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    const entry = JSON.parse(line);
+    if (typeof entry.prompt !== 'string') continue;
+    const tier = entry.expectedTier || entry.tier;
+    entries.push({
+      prompt: entry.prompt,
+      tier: typeof tier === 'string' && tier ? tier : null,
+      signals: entry.signals,
+      usage: entry.usage,
+    });
+  }
+  return entries;
+}
+
+/**
+ * Confusion matrix over { expected, actual } tier pairs:
+ * matrix[expected][actual] = count, plus overall accuracy. Rows and columns
+ * cover `tierOrder` plus any other tier that appears in the pairs.
+ */
+function confusionMatrix(pairs, tierOrder = TIER_ORDER) {
+  const tiers = [...tierOrder];
+  for (const { expected, actual } of pairs) {
+    if (!tiers.includes(expected)) tiers.push(expected);
+    if (!tiers.includes(actual)) tiers.push(actual);
+  }
+  const matrix = Object.fromEntries(tiers.map(e => [e, Object.fromEntries(tiers.map(a => [a, 0]))]));
+  let correct = 0;
+  for (const { expected, actual } of pairs) {
+    matrix[expected][actual]++;
+    if (expected === actual) correct++;
+  }
+  return { matrix, accuracy: pairs.length ? correct / pairs.length : 0, total: pairs.length };
+}
+
+/**
+ * Per-tier precision, recall and support from a confusion matrix
+ * (precision/recall are null when a tier was never routed/expected)
+ */
+function precisionRecall(matrix) {
+  const tiers = Object.keys(matrix);
+  const metrics = {};
+  for (const tier of tiers) {
+    const truePositives = matrix[tier][tier] || 0;
+    const support = Object.values(matrix[tier]).reduce((sum, n) => sum + n, 0);
+    const routed = tiers.reduce((sum, expected) => sum + (matrix[expected][tier] || 0), 0);
+    metrics[tier] = {
+      precision: routed ? truePositives / routed : null,
+      recall: support ? truePositives / support : null,
+      support,
+    };
+  }
+  return metrics;
+}
+
+/**
+ * Route each labelled example with `routeOptions` and compare against its label
+ */
+function evaluate(examples, routeOptions = {}) {
+  return confusionMatrix(examples.filter(example => example.tier).map(example => ({
+    expected: example.tier,
+    actual: route(example.prompt, { ...routeOptions, signals: example.signals }).tier,
+  })), resolveTiers(routeOptions).order);
+}
+
+/**
+ * Route a whole corpus. Cost uses the entry's recorded usage when present,
+ * otherwise the prompt's estimated tokens and estimateCost()'s default output.
+ */
+function runEval(entries, options = {}) {
+  const { baselineModel = DEFAULT_BASELINE_MODEL, ...routeOptions } = options;
+  const results = [];
+  let cost = 0;
+  let baselineCost = 0;
+
+  for (const entry of entries) {
+    const decision = route(entry.prompt, { ...routeOptions, signals: entry.signals });
+    const inputTokens = entry.usage?.inputTokens ?? estimateTokens(entry.prompt);
+    const outputTokens = entry.usage?.outputTokens;
+    const entryCost = estimateCost(decision.model, inputTokens, outputTokens);
+    cost += entryCost;
+    baselineCost += estimateCost(baselineModel, inputTokens, outputTokens);
+    results.push({
+      prompt: entry.prompt,
+      expectedTier: entry.tier,
+      tier: decision.tier,
+      model: decision.model,
+      confidence: decision.confidence,
+      cost: entryCost,
+    });
+  }
+
+  const labelled = results.filter(r => r.expectedTier);
+  const confusion = confusionMatrix(
+    labelled.map(r => ({ expected: r.expectedTier, actual: r.tier })),
+    resolveTiers(routeOptions).order,
+  );
+  const tiers = {};
+  for (const r of results) tiers[r.tier] = (tiers[r.tier] || 0) + 1;
+
+  return {
+    results,
+    tiers,
+    labelled: labelled.length,
+    confusion,
+    metrics: labelled.length ? precisionRecall(confusion.matrix) : null,
+    cost,
+    baselineCost,
+    savings: baselineCost > 0 ? (baselineCost - cost) / baselineCost : 0,
+  };
+}
+
+/**
+ * Prompts whose tier differs from a previous run's results
+ */
+function diffRuns(previous, current) {
+  const before = new Map(previous.map(r => [r.prompt, r.tier]));
+  const changes = [];
+  for (const r of current) {
+    const from = before.get(r.prompt);
+    if (from && from !== r.tier) changes.push({ prompt: r.prompt, from, to: r.tier });
+  }
+  return changes;
+}
+
+/**
+ * Read saved eval results (one { prompt, tier, model } line per prompt)
+ */
+function loadRun(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line))
+    .filter(r => typeof r.prompt === 'string' && r.tier);
+}
+
+function saveRun(filePath, results) {
+  fs.writeFileSync(filePath, results.map(r => JSON.stringify(r)).join('\n') + '\n', 'utf8');
+}
+
+module.exports = {
+  loadCorpus,
+  confusionMatrix,
+  precisionRecall,
+  evaluate,
+  runEval,
+  diffRuns,
+  loadRun,
+  saveRun,
+};
@@ -0,0 +1,132 @@
+/**
+ * LiteLLM ClawRouter - Model health and candidate selection
+ *
+ * Keeps rolling latency and error-rate statistics per upstream model and
+ * uses them to pick among a tier's candidate models:
+ *   - cheapest-healthy:   the cheapest model that isn't failing
+ *   - lowest-p50-latency: the healthy model with the lowest median latency
+ *   - weighted-random:    a random healthy model, by configured weight
+ */
+
+const { estimateCost } = require('./router');
+
+const DEFAULT_HEALTH = {
+  windowSize: 50,            // most recent outcomes kept per model
+  windowMs: 5 * 60 * 1000,   // ...of which only those this recent count
+  minSamples: 5,             // outcomes needed before a model can be unhealthy
+  maxErrorRate: 0.5,         // error rate at which a model counts as unhealthy
+};
+
+const STRATEGIES = ['cheapest-healthy', 'lowest-p50-latency', 'weighted-random'];
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Rolling per-model outcomes (success with latency, or failure)
+ */
+class ModelStats {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_HEALTH, ...options };
+    this.samples = new Map();
+  }
+
+  /**
+   * Record one upstream outcome: { ok, latencyMs }
+   */
+  record(model, { ok, latencyMs = null }, now = Date.now()) {
+    const samples = this.samples.get(model) || [];
+    samples.push({ at: now, ok, latencyMs });
+    if (samples.length > this.options.windowSize) samples.shift();
+    this.samples.set(model, samples);
+  }
+
+  /**
+   * { samples, errorRate, p50LatencyMs, healthy } over the window. Models
+   * with fewer than `minSamples` recent outcomes count as healthy.
+   */
+  stats(model, now = Date.now()) {
+    const { windowMs, minSamples, maxErrorRate } = this.options;
+    const recent = (this.samples.get(model) || []).filter(s => now - s.at <= windowMs);
+    const errors = recent.filter(s => !s.ok).length;
+    const latencies = recent
+      .filter(s => s.ok && s.latencyMs !== null)
+      .map(s => s.latencyMs)
+      .sort((a, b) => a - b);
+    const errorRate = recent.length ? errors / recent.length : 0;
+    return {
+      samples: recent.length,
+      errorRate,
+      p50LatencyMs: latencies.length ? median(latencies) : null,
+      healthy: recent.length < minSamples || errorRate < maxErrorRate,
+    };
+  }
+
+  snapshot(now = Date.now()) {
+    return Object.fromEntries([...this.samples.keys()].map(model => [model, this.stats(model, now)]));
+  }
+}
+
+/**
+ * Validate per-tier candidate lists up front:
+ *   { MEDIUM: { models: [...], strategy: 'lowest-p50-latency', weights: { model: n } } }
+ */
+function compileCandidates(candidates = {}, tierModels = {}) {
+  const compiled = {};
+  for (const [tier, config] of Object.entries(candidates)) {
+    if (!tierModels[tier]) {
+      throw new Error(`Candidates configured for unknown tier "${tier}"`);
+    }
+    const { models = [], strategy = 'cheapest-healthy', weights = {} } = config;
+    if (models.length === 0) {
+      throw new Error(`Candidates for tier "${tier}" list no models`);
+    }
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown candidate strategy "${strategy}" for tier "${tier}" (expected ${STRATEGIES.join(', ')})`);
+    }
+    compiled[tier] = { models, strategy, weights };
+  }
+  return compiled;
+}
+
+/**
+ * Order a tier's candidates best first by its strategy. Healthy models
+ * always come before unhealthy ones (least failing first), so the tail
+ * doubles as a fallback order.
+ */
+function rankCandidates(candidates, modelStats, options = {}) {
+  const { random = Math.random, now = Date.now() } = options;
+  const { models, strategy, weights } = candidates;
+  const stats = new Map(models.map(model => [model, modelStats.stats(model, now)]));
+  const healthy = models.filter(model => stats.get(model).healthy);
+  const unhealthy = models
+    .filter(model => !stats.get(model).healthy)
+    .sort((a, b) => stats.get(a).errorRate - stats.get(b).errorRate);
+
+  let ranked;
+  if (strategy === 'cheapest-healthy') {
+    const cost = model => estimateCost(model, 1000, 500);
+    ranked = [...healthy].sort((a, b) => cost(a) - cost(b));
+  } else if (strategy === 'lowest-p50-latency') {
+    // Models without latency data yet go first, so they get measured
+    const p50 = model => stats.get(model).p50LatencyMs ?? -1;
+    ranked = [...healthy].sort((a, b) => p50(a) - p50(b));
+  } else {
+    const weight = model => weights[model] ?? 1;
+    const total = healthy.reduce((sum, model) => sum + weight(model), 0);
+    let draw = random() * total;
+    const picked = healthy.find(model => (draw -= weight(model)) < 0) ?? healthy[0];
+    ranked = picked ? [picked, ...healthy.filter(m => m !== picked).sort((a, b) => weight(b) - weight(a))] : [];
+  }
+  return [...ranked, ...unhealthy];
+}
+
+module.exports = {
+  ModelStats,
+  compileCandidates,
+  rankCandidates,
+  DEFAULT_HEALTH,
+  STRATEGIES,
+};
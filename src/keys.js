@@ -0,0 +1,154 @@
+/**
+ * LiteLLM ClawRouter - Client keys
+ *
+ * Keys the proxy issues to its own clients. Each maps to an upstream
+ * LiteLLM key (default: the configured one) and can be limited to some
+ * routing profiles and tiers, a request rate and a budget. Only SHA-256
+ * hashes are stored, in ~/.openclaw/litellm-clawrouter/keys.json; once that
+ * file lists a key, the proxy refuses requests without a valid one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_LOG_DIR, writeFileAtomicSync } = require('./log');
+
+const KEYS_FILE = 'keys.json';
+const KEY_PREFIX = 'crk_';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Key a request presents: `Authorization: Bearer <key>` or `x-api-key`
+ */
+function presentedKey(headers = {}) {
+  const match = /^Bearer\s+(\S+)/i.exec(headers.authorization || '');
+  return match ? match[1] : headers['x-api-key'] || null;
+}
+
+/**
+ * Constant-time comparison of two keys
+ */
+function sameKey(a, b) {
+  if (!a || !b) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashKey(a), 'hex'), Buffer.from(hashKey(b), 'hex'));
+}
+
+class KeyStore {
+  constructor(options = {}) {
+    const { statePath = path.join(DEFAULT_LOG_DIR, KEYS_FILE), reloadMs = 1000 } = options;
+    this.statePath = statePath;
+    // The CLI edits the file while the proxy runs; re-read it when it changes
+    this.reloadMs = reloadMs;
+    this.keys = [];
+    this.mtimeMs = null;
+    this.checkedAt = 0;
+    this.reload();
+  }
+
+  reload() {
+    if (!this.statePath) return;
+    try {
+      const { mtimeMs } = fs.statSync(this.statePath);
+      if (mtimeMs === this.mtimeMs) return;
+      this.keys = JSON.parse(fs.readFileSync(this.statePath, 'utf8')).keys || [];
+      this.mtimeMs = mtimeMs;
+    } catch {
+      // A missing or half-written file keeps the keys we have
+    }
+  }
+
+  refresh(now = Date.now()) {
+    if (now - this.checkedAt < this.reloadMs) return;
+    this.checkedAt = now;
+    this.reload();
+  }
+
+  /**
+   * Whether requests need a key: true once any key has been created
+   */
+  enabled(now = Date.now()) {
+    this.refresh(now);
+    return this.keys.length > 0;
+  }
+
+  /**
+   * Issue a key. Returns { key, record }; the plain key is only available
+   * here. Options: { upstreamKey, profiles, tiers, rateLimit: {
+   * requestsPerMinute, tokensPerMinute }, budget: { daily, monthly } }.
+   */
+  create(name, options = {}, now = Date.now()) {
+    if (!name || !/^[\w.-]+$/.test(name)) {
+      throw new Error('Key name must be letters, digits, ".", "_" or "-"');
+    }
+    if (this.keys.some(record => record.name === name && !record.revokedAt)) {
+      throw new Error(`A key named "${name}" already exists`);
+    }
+    const { upstreamKey = null, profiles = null, tiers = null, rateLimit = null, budget = null } = options;
+    const key = generateKey();
+    const record = {
+      id: crypto.randomBytes(4).toString('hex'),
+      name,
+      hash: hashKey(key),
+      hint: `${key.slice(0, 8)}…${key.slice(-4)}`,
+      upstreamKey,
+      profiles,
+      tiers,
+      rateLimit,
+      budget,
+      createdAt: now,
+      revokedAt: null,
+    };
+    this.keys.push(record);
+    this.save();
+    return { key, record };
+  }
+
+  /**
+   * Key records without hashes or upstream keys, for display
+   */
+  list() {
+    return this.keys.map(({ hash, upstreamKey, ...record }) => ({ ...record, upstreamKey: !!upstreamKey }));
+  }
+
+  /**
+   * Revoke an active key by id or name; returns its record, or null
+   */
+  revoke(idOrName, now = Date.now()) {
+    const record = this.keys.find(r => !r.revokedAt && (r.id === idOrName || r.name === idOrName));
+    if (!record) return null;
+    record.revokedAt = now;
+    this.save();
+    return record;
+  }
+
+  /**
+   * Active record for a presented key, or null
+   */
+  authenticate(key, now = Date.now()) {
+    this.refresh(now);
+    if (!key) return null;
+    const hash = hashKey(key);
+    return this.keys.find(record => record.hash === hash && !record.revokedAt) || null;
+  }
+
+  save() {
+    if (!this.statePath) return;
+    writeFileAtomicSync(this.statePath, JSON.stringify({ keys: this.keys }, null, 2), { mode: 0o600 });
+    this.mtimeMs = fs.statSync(this.statePath).mtimeMs;
+  }
+}
+
+module.exports = {
+  KeyStore,
+  presentedKey,
+  sameKey,
+  hashKey,
+  KEY_PREFIX,
+};
@@ -0,0 +1,231 @@
+/**
+ * LiteLLM ClawRouter - Rate limits and concurrency
+ *
+ * Token buckets for requests/min and tokens/min, kept per scope (a client
+ * key or an upstream model), and a cap on in-flight requests per upstream
+ * model with a bounded wait queue. Exceeding either is a 429 with
+ * `retry-after`.
+ */
+
+const { RoutingError } = require('./router');
+
+const DEFAULT_LIMITS = {
+  models: {},              // model (or '*') → { requestsPerMinute, tokensPerMinute, maxInFlight }
+  maxQueue: 16,            // requests waiting per model once maxInFlight is reached
+  queueTimeoutMs: 30000,   // how long a queued request waits for a slot
+};
+
+/**
+ * Refills continuously at `perMinute` up to `perMinute`. The balance may go
+ * negative when actual usage turns out higher than the estimate taken.
+ */
+class TokenBucket {
+  constructor(perMinute, now = Date.now()) {
+    this.capacity = perMinute;
+    this.tokens = perMinute;
+    this.updatedAt = now;
+  }
+
+  refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) * this.capacity) / 60000);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until `amount` can be taken (0 = now). Amounts above the
+   * capacity only need a full bucket.
+   */
+  wait(amount, now = Date.now()) {
+    this.refill(now);
+    const missing = Math.min(amount, this.capacity) - this.tokens;
+    return missing > 0 ? Math.ceil((missing * 60000) / this.capacity) : 0;
+  }
+
+  take(amount) {
+    this.tokens -= amount;
+  }
+}
+
+/**
+ * Request and token buckets per scope, e.g. `client:<id>` or `model:<name>`
+ */
+class RateLimiter {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  // [bucket, amount] pairs for the limits that are set
+  bucketsFor(scope, limits = {}, tokens, now) {
+    const pairs = [];
+    for (const [kind, perMinute, amount] of [
+      ['requests', limits.requestsPerMinute, 1],
+      ['tokens', limits.tokensPerMinute, tokens],
+    ]) {
+      if (!(perMinute > 0)) continue;
+      const key = `${scope}:${kind}`;
+      let bucket = this.buckets.get(key);
+      if (!bucket) {
+        bucket = new TokenBucket(perMinute, now);
+        this.buckets.set(key, bucket);
+      }
+      // Limits can change while the proxy runs (client keys are reloaded)
+      bucket.capacity = perMinute;
+      pairs.push([bucket, amount]);
+    }
+    return pairs;
+  }
+
+  /**
+   * Milliseconds until one request of `tokens` fits the scope's limits
+   */
+  wait(scope, limits, tokens = 0, now = Date.now()) {
+    return Math.max(0, ...this.bucketsFor(scope, limits, tokens, now).map(([bucket, amount]) => bucket.wait(amount, now)));
+  }
+
+  /**
+   * Take one request of `tokens` from the scope, all or nothing. Returns 0
+   * when taken, else the milliseconds to wait before retrying.
+   */
+  take(scope, limits, tokens = 0, now = Date.now()) {
+    const pairs = this.bucketsFor(scope, limits, tokens, now);
+    const waitMs = Math.max(0, ...pairs.map(([bucket, amount]) => bucket.wait(amount, now)));
+    if (waitMs === 0) {
+      for (const [bucket, amount] of pairs) bucket.take(amount);
+    }
+    return waitMs;
+  }
+
+  /**
+   * Correct the scope's token bucket once actual usage is known:
+   * `tokens` is actual minus estimated (negative refunds)
+   */
+  adjust(scope, limits, tokens, now = Date.now()) {
+    if (!(limits?.tokensPerMinute > 0) || !tokens) return;
+    const [[bucket]] = this.bucketsFor(scope, { tokensPerMinute: limits.tokensPerMinute }, tokens, now);
+    bucket.refill(now);
+    bucket.take(tokens);
+  }
+}
+
+/**
+ * 429 for a request over a rate limit
+ */
+function rateLimited(message, waitMs, details) {
+  return new RoutingError(message, {
+    status: 429,
+    type: 'rate_limit_error',
+    code: 'rate_limit_exceeded',
+    details,
+    headers: { 'retry-after': String(Math.max(1, Math.ceil(waitMs / 1000))) },
+  });
+}
+
+/**
+ * Caps in-flight requests per model. Requests past the cap wait in a FIFO
+ * queue; a full queue or a wait past `queueTimeoutMs` is a 429.
+ */
+class ConcurrencyLimiter {
+  constructor(options = {}) {
+    const { maxQueue, queueTimeoutMs } = { ...DEFAULT_LIMITS, ...options };
+    this.maxQueue = maxQueue;
+    this.queueTimeoutMs = queueTimeoutMs;
+    this.models = new Map();
+  }
+
+  state(model) {
+    let state = this.models.get(model);
+    if (!state) {
+      state = { inFlight: 0, maxInFlight: null, queue: [] };
+      this.models.set(model, state);
+    }
+    return state;
+  }
+
+  /**
+   * Wait for a slot on `model`; resolves with a release function to call
+   * once the upstream response is done. `signal` aborts the wait (the
+   * client went away).
+   */
+  acquire(model, maxInFlight, signal) {
+    const state = this.state(model);
+    state.maxInFlight = maxInFlight;
+    const slot = () => {
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        state.inFlight--;
+        this.next(state);
+      };
+    };
+
+    if (state.inFlight < maxInFlight) {
+      state.inFlight++;
+      return Promise.resolve(slot());
+    }
+    if (state.queue.length >= this.maxQueue) {
+      return Promise.reject(new RoutingError(`Too many requests queued for ${model}`, {
+        status: 429,
+        type: 'rate_limit_error',
+        code: 'queue_full',
+        details: { model, inFlight: state.inFlight, queued: state.queue.length },
+        headers: { 'retry-after': '1' },
+      }));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        grant: () => {
+          cleanup();
+          state.inFlight++;
+          resolve(slot());
+        },
+      };
+      const leave = (err) => {
+        cleanup();
+        state.queue.splice(state.queue.indexOf(waiter), 1);
+        reject(err);
+      };
+      const timer = setTimeout(() => leave(new RoutingError(`Timed out waiting for a free ${model} slot`, {
+        status: 429,
+        type: 'rate_limit_error',
+        code: 'queue_timeout',
+        details: { model, waitedMs: this.queueTimeoutMs },
+        headers: { 'retry-after': '1' },
+      })), this.queueTimeoutMs);
+      const onAbort = () => leave(new Error('Client closed the request while it was queued'));
+      const cleanup = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      state.queue.push(waiter);
+      if (signal?.aborted) return onAbort();
+      if (signal) signal.addEventListener('abort', onAbort);
+    });
+  }
+
+  next(state) {
+    if (state.queue.length > 0 && state.inFlight < state.maxInFlight) {
+      state.queue.shift().grant();
+    }
+  }
+
+  /**
+   * { model: { inFlight, maxInFlight, queued } } for models that have limits
+   */
+  snapshot() {
+    const snapshot = {};
+    for (const [model, state] of this.models) {
+      snapshot[model] = { inFlight: state.inFlight, maxInFlight: state.maxInFlight, queued: state.queue.length };
+    }
+    return snapshot;
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  RateLimiter,
+  ConcurrencyLimiter,
+  rateLimited,
+  DEFAULT_LIMITS,
+};
@@ -0,0 +1,229 @@
+/**
+ * LiteLLM ClawRouter - Routing log
+ *
+ * Appends one JSON line per routing decision to a rotating log under
+ * ~/.openclaw/litellm-clawrouter/ and summarizes it for `stats`. Also holds
+ * the atomic writes the other state files in that directory share.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { estimateCost } = require('./router');
+
+const DEFAULT_LOG_DIR = path.join(os.homedir(), '.openclaw', 'litellm-clawrouter');
+const LOG_FILE = 'routing.jsonl';
+
+const DEFAULT_LOG_OPTIONS = {
+  dir: DEFAULT_LOG_DIR,
+  maxBytes: 10 * 1024 * 1024, // rotate once the current file passes this size
+  maxFiles: 5,                // rotated files kept (routing.1.jsonl is newest)
+};
+
+/**
+ * Short, stable hash so prompts can be correlated without being stored
+ */
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt || '').digest('hex').slice(0, 16);
+}
+
+/**
+ * Write a file through a temp file and a rename, so a crash never leaves it
+ * truncated and a concurrent reader never sees it half-written
+ */
+async function writeFileAtomic(filePath, data, options = {}) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  await fs.promises.writeFile(tmpPath, data, { encoding: 'utf8', ...options });
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+function writeFileAtomicSync(filePath, data, options = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, data, { encoding: 'utf8', ...options });
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Serialized saves of one state file. `serialize()` returns its text;
+ * saveSoon() writes it `delayMs` later (batching the changes in between),
+ * save() right away, and flush() resolves once everything is on disk. A null
+ * `filePath` keeps the state in memory only.
+ */
+class StateFile {
+  constructor(filePath, serialize, options = {}) {
+    const { delayMs = 1000, label = 'State file' } = options;
+    this.filePath = filePath;
+    this.serialize = serialize;
+    this.delayMs = delayMs;
+    this.label = label;
+    this.pending = Promise.resolve();
+    this.timer = null;
+  }
+
+  saveSoon() {
+    if (!this.filePath || this.timer) return;
+    this.timer = setTimeout(() => this.save(), this.delayMs);
+    this.timer.unref();
+  }
+
+  save() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.filePath) return this.pending;
+    const data = this.serialize();
+    this.pending = this.pending
+      .then(() => writeFileAtomic(this.filePath, data))
+      .catch((err) => {
+        console.error(`${this.label} error:`, err.message);
+      });
+    return this.pending;
+  }
+
+  flush() {
+    return this.timer ? this.save() : this.pending;
+  }
+}
+
+class RoutingLog {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_LOG_OPTIONS, ...options };
+    this.path = path.join(this.options.dir, LOG_FILE);
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Queue an entry; writes are serialized so lines never interleave
+   */
+  append(entry) {
+    const line = JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n';
+    this.pending = this.pending
+      .then(async () => {
+        await fs.promises.mkdir(this.options.dir, { recursive: true });
+        await this.rotateIfNeeded();
+        await fs.promises.appendFile(this.path, line, 'utf8');
+      })
+      .catch((err) => {
+        console.error('Routing log error:', err.message);
+      });
+    return this.pending;
+  }
+
+  /**
+   * Resolves once all queued entries are on disk
+   */
+  flush() {
+    return this.pending;
+  }
+
+  async rotateIfNeeded() {
+    let size = 0;
+    try {
+      size = (await fs.promises.stat(this.path)).size;
+    } catch {
+      return;
+    }
+    if (size < this.options.maxBytes) return;
+
+    const { maxFiles } = this.options;
+    await fs.promises.rm(this.rotatedPath(maxFiles), { force: true });
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      try {
+        await fs.promises.rename(this.rotatedPath(i), this.rotatedPath(i + 1));
+      } catch {}
+    }
+    await fs.promises.rename(this.path, this.rotatedPath(1));
+  }
+
+  rotatedPath(index) {
+    return path.join(this.options.dir, LOG_FILE.replace(/\.jsonl$/, `.${index}.jsonl`));
+  }
+
+  /**
+   * Read entries (oldest first), optionally only those at or after `since`
+   */
+  read({ since } = {}) {
+    const files = [];
+    for (let i = this.options.maxFiles; i >= 1; i--) files.push(this.rotatedPath(i));
+    files.push(this.path);
+
+    const entries = [];
+    for (const file of files) {
+      if (!fs.existsSync(file)) continue;
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          if (!since || new Date(entry.ts) >= since) entries.push(entry);
+        } catch {}
+      }
+    }
+    return entries;
+  }
+}
+
+/**
+ * Summarize log entries: tier/model distribution, error rate, latency and
+ * estimated spend (entries without upstream usage are counted as unmetered)
+ */
+function summarize(entries) {
+  const summary = {
+    total: entries.length,
+    tiers: {},
+    models: {},
+    errors: 0,
+    errorRate: 0,
+    avgLatencyMs: 0,
+    streams: 0,
+    streamErrors: 0,
+    avgTtftMs: null,
+    spend: 0,
+    baselineSpend: 0,
+    unmetered: 0,
+  };
+
+  let latencyTotal = 0;
+  let latencyCount = 0;
+  let ttftTotal = 0;
+  let ttftCount = 0;
+  for (const entry of entries) {
+    summary.tiers[entry.tier] = (summary.tiers[entry.tier] || 0) + 1;
+    summary.models[entry.model] = (summary.models[entry.model] || 0) + 1;
+    if (!entry.status || entry.status >= 400) summary.errors++;
+    if (typeof entry.latencyMs === 'number') {
+      latencyTotal += entry.latencyMs;
+      latencyCount++;
+    }
+    if (entry.chunks !== undefined) {
+      summary.streams++;
+      if (entry.streamError) summary.streamErrors++;
+      if (typeof entry.ttftMs === 'number') {
+        ttftTotal += entry.ttftMs;
+        ttftCount++;
+      }
+    }
+    if (entry.usage) {
+      summary.spend += entry.cost ?? estimateCost(entry.model, entry.usage.inputTokens, entry.usage.outputTokens);
+      summary.baselineSpend += entry.baselineCost ?? 0;
+    } else {
+      summary.unmetered++;
+    }
+  }
+
+  summary.errorRate = entries.length ? summary.errors / entries.length : 0;
+  summary.avgLatencyMs = latencyCount ? latencyTotal / latencyCount : 0;
+  summary.avgTtftMs = ttftCount ? ttftTotal / ttftCount : null;
+  return summary;
+}
+
+module.exports = {
+  RoutingLog,
+  StateFile,
+  summarize,
+  hashPrompt,
+  writeFileAtomicSync,
+  DEFAULT_LOG_DIR,
+  DEFAULT_LOG_OPTIONS,
+};
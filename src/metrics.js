@@ -0,0 +1,153 @@
+/**
+ * LiteLLM ClawRouter - Prometheus metrics
+ *
+ * Counters and histograms for routed traffic, rendered in the Prometheus
+ * text exposition format for `GET /metrics`.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; routing is local work, upstream calls take up to minutes
+const ROUTING_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+const UPSTREAM_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Values per label combination; `labels` is an object keyed by label name
+ */
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const values = this.labelNames.map(name => labels[name]);
+    const key = JSON.stringify(values);
+    const entry = this.values.get(key) || { values, value: 0 };
+    entry.value += value;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const { values, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, values)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Cumulative buckets, sum and count per label combination
+ */
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = UPSTREAM_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.values = new Map();
+  }
+
+  observe(labels = {}, value) {
+    const values = this.labelNames.map(name => labels[name]);
+    const key = JSON.stringify(values);
+    const entry = this.values.get(key) || { values, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { values, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${bound}"`)} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Gauge whose samples are read at scrape time: collect() returns
+ * [labels, value] pairs
+ */
+class Gauge {
+  constructor(name, help, labelNames, collect) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+    for (const [labels, value] of this.collect()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, this.labelNames.map(name => labels[name]))} ${value}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * The proxy's metrics. `gauges` adds scrape-time gauges (queue depth).
+ */
+class ProxyMetrics {
+  constructor(options = {}) {
+    const { version = null, gauges = [] } = options;
+    this.requests = new Counter('clawrouter_requests_total',
+      'Routed requests by tier, served model and HTTP status', ['tier', 'model', 'status']);
+    this.rejected = new Counter('clawrouter_rejected_requests_total',
+      'Requests refused by the proxy itself, by error code', ['code']);
+    this.routingSeconds = new Histogram('clawrouter_routing_duration_seconds',
+      'Time from receiving a request to its routing decision', ['tier'], ROUTING_BUCKETS);
+    this.upstreamSeconds = new Histogram('clawrouter_upstream_duration_seconds',
+      'Time from sending to the served model to its complete response', ['model'], UPSTREAM_BUCKETS);
+    this.estimatedCost = new Counter('clawrouter_estimated_cost_dollars_total',
+      'Cost estimated at routing time from the prompt size and 500 output tokens', ['tier', 'model']);
+    this.actualCost = new Counter('clawrouter_actual_cost_dollars_total',
+      'Cost from the usage LiteLLM reported', ['tier', 'model']);
+    this.fallbacks = new Counter('clawrouter_fallbacks_total',
+      'Routed requests served by a model other than the routed one', ['tier', 'routed_model', 'served_model']);
+    this.cacheLookups = new Counter('clawrouter_cache_lookups_total',
+      'Response cache lookups by cache and result', ['cache', 'result']);
+    this.gauges = [
+      ...(version ? [new Gauge('clawrouter_build_info', 'Proxy version', ['version'], () => [[{ version }, 1]])] : []),
+      ...gauges,
+    ];
+  }
+
+  render() {
+    const lines = [this.requests, this.rejected, this.routingSeconds, this.upstreamSeconds,
+      this.estimatedCost, this.actualCost, this.fallbacks, this.cacheLookups, ...this.gauges]
+      .flatMap(metric => metric.render());
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  Counter,
+  Histogram,
+  Gauge,
+  ProxyMetrics,
+  CONTENT_TYPE,
+};
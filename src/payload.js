@@ -0,0 +1,219 @@
+/**
+ * LiteLLM ClawRouter - Request parsing
+ *
+ * Normalizes Chat Completions and Responses API payloads into a
+ * common message list the router can score.
+ */
+
+// Model names that trigger auto-routing; `auto:<profile>` selects a profile
+const AUTO_MODELS = ['auto', 'litellm/auto', 'litellm-clawrouter/auto'];
+
+// Content part types by modality (Chat Completions and Responses API names)
+const TEXT_PART_TYPES = ['text', 'input_text', 'output_text'];
+const IMAGE_PART_TYPES = ['image_url', 'input_image', 'image'];
+const AUDIO_PART_TYPES = ['input_audio', 'audio'];
+const FILE_PART_TYPES = ['file', 'input_file'];
+
+// Rough token cost of one non-text part; actual cost depends on the provider
+const MEDIA_PART_TOKENS = 1000;
+// Per-message framing overhead (role, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Detect which OpenAI-compatible API a request targets
+ */
+function detectApi(url = '') {
+  const pathname = url.split('?')[0].replace(/\/$/, '');
+  if (pathname.endsWith('/chat/completions')) return 'chat';
+  if (pathname.endsWith('/responses')) return 'responses';
+  return null;
+}
+
+/**
+ * Split an auto-routing model name into its base and profile:
+ * 'auto:eco' → { profile: 'eco' }, 'auto' → { profile: null }, else null
+ */
+function parseAutoModel(model) {
+  if (typeof model !== 'string') return null;
+  const [base, profile] = model.split(/:(.*)/s);
+  if (!AUTO_MODELS.includes(base) || profile === '') return null;
+  return { profile: profile ?? null };
+}
+
+function isAutoModel(model) {
+  return parseAutoModel(model) !== null;
+}
+
+/**
+ * Flatten message content (string or content-part array) to text.
+ * Image, audio and file parts are dropped so their (often base64) payloads
+ * are never scored as prose or code.
+ */
+function contentToText(content) {
+  if (content == null) return '';
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return JSON.stringify(content);
+
+  return content
+    .map(part => {
+      if (typeof part === 'string') return part;
+      if (TEXT_PART_TYPES.includes(part?.type) && typeof part.text === 'string') return part.text;
+      return null;
+    })
+    .filter(text => text !== null)
+    .join('\n');
+}
+
+/**
+ * Count non-text content parts by modality
+ */
+function countModalities(contents) {
+  const counts = { images: 0, audio: 0, files: 0 };
+  for (const content of contents) {
+    if (!Array.isArray(content)) continue;
+    for (const part of content) {
+      if (IMAGE_PART_TYPES.includes(part?.type)) counts.images++;
+      else if (AUDIO_PART_TYPES.includes(part?.type)) counts.audio++;
+      else if (FILE_PART_TYPES.includes(part?.type)) counts.files++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Estimate tokens in a string (~4 characters per token)
+ */
+function estimateTokens(text = '') {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Estimate input tokens for a whole parsed request: message text, tool
+ * definitions and a flat allowance per image/audio/file part
+ */
+function estimateRequestTokens(messages, payload, signals) {
+  let tokens = 0;
+  for (const message of messages) {
+    tokens += estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+  }
+  if (Array.isArray(payload.tools) && payload.tools.length > 0) {
+    tokens += estimateTokens(JSON.stringify(payload.tools));
+  }
+  tokens += (signals.images + signals.audio + signals.files) * MEDIA_PART_TOKENS;
+  return tokens;
+}
+
+/**
+ * Convert Responses API `input` items to chat-style messages
+ */
+function responsesInputToMessages(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+  if (!Array.isArray(input)) return [];
+
+  const messages = [];
+  for (const item of input) {
+    if (typeof item === 'string') {
+      messages.push({ role: 'user', content: item });
+    } else if (item.role && (item.type === undefined || item.type === 'message')) {
+      messages.push({ role: item.role, content: contentToText(item.content) });
+    } else if (item.type === 'function_call') {
+      messages.push({ role: 'assistant', content: `${item.name}(${item.arguments || ''})` });
+    } else if (item.type === 'function_call_output') {
+      messages.push({ role: 'tool', content: contentToText(item.output) });
+    }
+  }
+  return messages;
+}
+
+/**
+ * Tool, structured-output and modality signals carried by the request itself
+ */
+function extractSignals(payload, api) {
+  const tools = Array.isArray(payload.tools) ? payload.tools : [];
+  const toolChoice = payload.tool_choice;
+
+  // "required" or a specific function both force a tool call
+  const forcedToolChoice = toolChoice === 'required' ||
+    (typeof toolChoice === 'object' && toolChoice !== null);
+
+  // Prior tool traffic in the conversation, and message content to scan
+  let toolMessages = 0;
+  const contents = [];
+  if (api === 'responses') {
+    for (const item of Array.isArray(payload.input) ? payload.input : []) {
+      if (item?.type === 'function_call' || item?.type === 'function_call_output') toolMessages++;
+      if (item?.content) contents.push(item.content);
+    }
+  } else {
+    for (const message of Array.isArray(payload.messages) ? payload.messages : []) {
+      if (message.role === 'tool' || message.role === 'function') toolMessages++;
+      if (Array.isArray(message.tool_calls)) toolMessages += message.tool_calls.length;
+      contents.push(message.content);
+    }
+  }
+
+  // response_format (chat) or text.format (responses)
+  const format = api === 'responses' ? payload.text?.format : payload.response_format;
+  const formatType = format?.type;
+  const structuredOutput = formatType === 'json_schema' || formatType === 'json_object';
+
+  return {
+    toolCount: toolChoice === 'none' ? 0 : tools.length,
+    forcedToolChoice,
+    toolMessages,
+    structuredOutput,
+    jsonSchema: formatType === 'json_schema',
+    ...countModalities(contents),
+  };
+}
+
+/**
+ * Parse a request payload into { api, messages, prompt, previousResponseId,
+ * signals, inputTokens, maxOutputTokens }
+ */
+function parseRequest(payload, api = 'chat') {
+  let messages = [];
+  let previousResponseId = null;
+
+  if (api === 'responses') {
+    if (payload.instructions) {
+      messages.push({ role: 'system', content: contentToText(payload.instructions) });
+    }
+    messages.push(...responsesInputToMessages(payload.input));
+    previousResponseId = payload.previous_response_id || null;
+  } else if (Array.isArray(payload.messages)) {
+    messages = payload.messages.map(m => ({
+      role: m.role,
+      content: contentToText(m.content),
+    }));
+  }
+
+  const conversation = messages.filter(m => m.role !== 'system' && m.role !== 'developer');
+  const last = conversation[conversation.length - 1];
+  const signals = extractSignals(payload, api);
+
+  return {
+    api,
+    messages,
+    prompt: last ? last.content : '',
+    previousResponseId,
+    signals,
+    inputTokens: estimateRequestTokens(messages, payload, signals),
+    maxOutputTokens: payload.max_output_tokens || payload.max_completion_tokens || payload.max_tokens || 0,
+  };
+}
+
+module.exports = {
+  detectApi,
+  isAutoModel,
+  parseAutoModel,
+  contentToText,
+  countModalities,
+  estimateTokens,
+  estimateRequestTokens,
+  extractSignals,
+  parseRequest,
+  AUTO_MODELS,
+};
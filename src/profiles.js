@@ -0,0 +1,80 @@
+/**
+ * LiteLLM ClawRouter - Routing profiles
+ *
+ * Named cost/quality trade-offs (e.g. eco / balanced / premium), each with
+ * its own tier models, thresholds and rules. A request picks one with the
+ * model name `auto:<profile>` or the profile header; anything a profile
+ * doesn't set falls back to the top-level configuration.
+ */
+
+const { RoutingError } = require('./router');
+
+// Header selecting a profile for requests sent to plain `auto`
+const PROFILE_HEADER = 'x-clawrouter-profile';
+
+// Routing options a profile may override
+const PROFILE_KEYS = [
+  'tierModels',
+  'tiers',
+  'tierCapabilities',
+  'weights',
+  'thresholds',
+  'rules',
+  'candidates',
+  'fallbacks',
+];
+
+/**
+ * Profile name for a request: the `auto:<profile>` suffix, else the header
+ */
+function requestedProfile(autoModel, headers = {}) {
+  return autoModel?.profile || headers[PROFILE_HEADER] || null;
+}
+
+/**
+ * Routing options for a profile, layered over the base options.
+ * Throws a 400 RoutingError for an unknown profile.
+ */
+function profileOptions(base, profiles = {}, name = null) {
+  if (!name) return pickRoutingOptions(base);
+  if (!Object.prototype.hasOwnProperty.call(profiles, name)) {
+    throw unknownProfile(name, profiles);
+  }
+
+  const profile = profiles[name];
+  const options = pickRoutingOptions(base);
+  for (const key of PROFILE_KEYS) {
+    if (profile[key] === undefined) continue;
+    options[key] = profile[key];
+    // A profile's model map replaces an inherited tier list and vice versa
+    if (key === 'tierModels' && profile.tiers === undefined) delete options.tiers;
+  }
+  return options;
+}
+
+/**
+ * 400 error for a request naming a profile that isn't configured
+ */
+function unknownProfile(name, profiles = {}) {
+  return new RoutingError(`Unknown routing profile "${name}"`, {
+    status: 400,
+    code: 'unknown_profile',
+    details: { profile: name, available: Object.keys(profiles) },
+  });
+}
+
+function pickRoutingOptions(options) {
+  const picked = {};
+  for (const key of PROFILE_KEYS) {
+    if (options[key] !== undefined) picked[key] = options[key];
+  }
+  return picked;
+}
+
+module.exports = {
+  requestedProfile,
+  profileOptions,
+  unknownProfile,
+  PROFILE_HEADER,
+  PROFILE_KEYS,
+};
@@ -7,10 +7,45 @@
 
 const http = require('http');
 const https = require('https');
-const { route, estimateSavings, DEFAULT_TIER_MODELS } = require('./router');
+const {
+  routeConversation,
+  matchedPatterns,
+  resolveTiers,
+  applyClassifier,
+  constrainTier,
+  fitsContext,
+  requiredCapabilities,
+  RoutingError,
+  estimateCost,
+  estimateSavings,
+  DEFAULT_TIER_MODELS,
+  DEFAULT_BASELINE_MODEL,
+} = require('./router');
+const { detectApi, parseAutoModel, parseRequest, estimateTokens } = require('./payload');
+const { deriveSessionKey, responseIdOf, ResponseChains, SessionStore } = require('./session');
+const { captureUsage, costOf, UsageTracker } = require('./usage');
+const { isEventStream, relayStream, StreamStats } = require('./stream');
+const { ModelStats, compileCandidates, rankCandidates } = require('./health');
+const { cacheKey, isCacheable, cacheBypassed, CACHE_HEADER } = require('./cache');
+const { lastUserTurn } = require('./semantic');
+const { consumerOf } = require('./budget');
+const { presentedKey, sameKey } = require('./keys');
+const { RateLimiter, ConcurrencyLimiter, rateLimited } = require('./limits');
+const { compileRules, matchRule, ruleDecision } = require('./rules');
+const { requestedProfile, profileOptions, unknownProfile } = require('./profiles');
+const { hashPrompt } = require('./log');
+const { ProxyMetrics, Gauge, CONTENT_TYPE } = require('./metrics');
+const { version } = require('../package.json');
 
 const DEFAULT_PORT = 8401;
 
+// Retry budget for routed requests that fail upstream
+const DEFAULT_RETRY = {
+  maxAttempts: 3,     // total upstream attempts, including the first
+  backoffMs: 250,     // delay before the first retry, doubled each time
+  maxBackoffMs: 4000,
+};
+
 /**
  * Start the routing proxy
  */
@@ -20,8 +55,28 @@ async function startProxy(options = {}) {
     litellmBaseUrl,
     litellmApiKey,
     tierModels = DEFAULT_TIER_MODELS,
+    tierCapabilities,
+    tiers,
+    weights,
+    thresholds,
+    rules = [],
+    candidates = {},
+    health = {},
+    profiles = {},
+    stickiness = {},
+    fallbacks = {},
+    retry = {},
+    routingLog,
+    baselineModel = DEFAULT_BASELINE_MODEL,
+    budgets,
+    keys,
+    limits = {},
+    cache,
+    semanticCache,
+    classifier,
     onReady,
     onRouted,
+    onCompleted,
     onError,
   } = options;
 
@@ -36,18 +91,296 @@ async function startProxy(options = {}) {
   const isHttps = baseUrl.startsWith('https://');
   const httpModule = isHttps ? https : http;
 
+  // One router per profile (null is the top-level config). Built up front so
+  // a bad tier list or rule fails at startup, not per request.
+  const base = { tierModels, tierCapabilities, tiers, weights, thresholds, rules, candidates, fallbacks };
+  const routers = new Map();
+  for (const name of [null, ...Object.keys(profiles)]) {
+    routers.set(name, createRouter(profileOptions(base, profiles, name), stickiness));
+  }
+  const retryPolicy = { ...DEFAULT_RETRY, ...retry };
+  const usageTracker = new UsageTracker({ baselineModel });
+  const streamStats = new StreamStats();
+  const modelStats = new ModelStats(health);
+  const responseChains = new ResponseChains();
+  const rateLimiter = new RateLimiter();
+  const concurrency = new ConcurrencyLimiter(limits);
+  const queueGauge = field => () => Object.entries(concurrency.snapshot()).map(([model, queue]) => [{ model }, queue[field]]);
+  const metrics = new ProxyMetrics({
+    version,
+    gauges: [
+      new Gauge('clawrouter_in_flight_requests', 'Upstream requests in flight per limited model', ['model'], queueGauge('inFlight')),
+      new Gauge('clawrouter_queued_requests', 'Requests waiting for a limited model', ['model'], queueGauge('queued')),
+    ],
+  });
+
+  // Per-model limits: the model's own entry, else the '*' entry
+  function modelLimits(model) {
+    return limits.models?.[model] || limits.models?.['*'] || null;
+  }
+
+  // Called before each upstream attempt: takes from the model's rate
+  // buckets, then waits for an in-flight slot. Resolves a release function.
+  async function admit(model, tokens, signal) {
+    const modelLimit = modelLimits(model);
+    if (!modelLimit) return () => {};
+    const waitMs = rateLimiter.take(`model:${model}`, modelLimit, tokens);
+    if (waitMs) {
+      throw rateLimited(`Rate limit exceeded for ${model}`, waitMs, { scope: `model:${model}` });
+    }
+    return modelLimit.maxInFlight > 0 ? concurrency.acquire(model, modelLimit.maxInFlight, signal) : () => {};
+  }
+
+  // Budget caps: rejects past 100%, else resolves the budget state (past
+  // the threshold, routed requests are capped to a cheaper tier)
+  function checkBudget(consumer, consumerLimits) {
+    const budget = budgets ? budgets.check(consumer, Date.now(), consumerLimits) : { state: 'ok' };
+    if (budget.state === 'reject') {
+      const { scope, period, spent, limit } = budget.limit;
+      throw new RoutingError(
+        `Budget exceeded: ${scope} ${period} spend $${spent.toFixed(2)} of $${limit.toFixed(2)}`,
+        { status: budgets.options.rejectStatus, type: 'budget_exceeded', code: 'budget_exceeded', details: budget.limit },
+      );
+    }
+    return budget;
+  }
+
+  // Client key rate limits, on the request's estimated tokens
+  function takeClientRate(client, tokens) {
+    if (!client?.rateLimit) return;
+    const waitMs = rateLimiter.take(`client:${client.id}`, client.rateLimit, tokens);
+    if (waitMs) {
+      throw rateLimited(`Rate limit exceeded for client key "${client.name}"`, waitMs, { scope: `client:${client.id}` });
+    }
+  }
+
+  // Correct token buckets by the actual usage of a served response
+  function settleTokens(client, model, estimated, usage) {
+    const actual = usage.inputTokens + usage.outputTokens;
+    if (client) rateLimiter.adjust(`client:${client.id}`, client.rateLimit, actual - estimated);
+    rateLimiter.adjust(`model:${model}`, modelLimits(model), actual - estimated);
+  }
+
+  // Client keys: once any exist, every request needs one. The configured
+  // LiteLLM key still works and is unrestricted. Resolves the request's
+  // client key record, or null when there is no restriction.
+  function authorize(headers) {
+    if (!keys || !keys.enabled()) return null;
+    const presented = presentedKey(headers);
+    if (sameKey(presented, litellmApiKey)) return null;
+    const client = keys.authenticate(presented);
+    if (!client) {
+      throw new RoutingError('Missing or invalid client key', {
+        status: 401,
+        type: 'authentication_error',
+        code: 'invalid_api_key',
+      });
+    }
+    return client;
+  }
+
+  // `auto:<profile>` or the profile header picks the routing profile. Keys
+  // limited to some profiles default to the first of them.
+  function selectRouter(autoModel, headers, client = null) {
+    let profile = requestedProfile(autoModel, headers);
+    if (client?.profiles) {
+      profile = profile ?? client.profiles[0];
+      if (!client.profiles.includes(profile)) {
+        throw new RoutingError(`Client key "${client.name}" may not use routing profile "${profile}"`, {
+          status: 403,
+          type: 'permission_error',
+          code: 'profile_not_allowed',
+          details: { profile, allowed: client.profiles },
+        });
+      }
+    }
+    const router = routers.get(profile);
+    if (!router) throw unknownProfile(profile, profiles);
+    return { profile, router };
+  }
+
+  // Rules, then the scorer and classifier. Stickiness and capability
+  // constraints are applied on top by the caller.
+  async function decide(router, headers, payload, request) {
+    const { tierOptions, tierSet } = router;
+
+    // Configured rules override the scorer outright
+    const rule = matchRule(router.rules, { headers, payload, request });
+    if (rule) return ruleDecision(rule, tierSet.tierModels);
+
+    // Route on the whole conversation, not just the last message
+    const decision = routeConversation(request.messages, {
+      ...tierOptions,
+      weights: router.weights,
+      thresholds: router.thresholds,
+      signals: request.signals,
+    });
+
+    // Optional classifier backend, `{ name, mode, ambiguousBand }`
+    if (!classifier) return decision;
+    const { name, ...classifierOptions } = classifier;
+    return applyClassifier(decision, request.prompt, {
+      ...classifierOptions,
+      classifier: name,
+      messages: request.messages,
+      ...tierOptions,
+    });
+  }
+
+  // Dry run of the routing pipeline (minus sessions and budgets) for
+  // POST /v1/clawrouter/route
+  async function explainRoute(payload, headers, client) {
+    const api = payload.input !== undefined ? 'responses' : 'chat';
+    const request = parseRequest(payload, api);
+    if (request.messages.length === 0) {
+      throw new RoutingError('Payload has no messages to route', { code: 'no_messages' });
+    }
+    const { profile, router } = selectRouter(parseAutoModel(payload.model || 'auto') || {}, headers, client);
+    const decision = await decide(router, headers, payload, request);
+    const context = { input: request.inputTokens, output: request.maxOutputTokens };
+    const allowedTiers = client?.tiers || undefined;
+    constrainTier(decision, { ...requiredCapabilities(request.signals), context, allowedTiers }, router.tierOptions);
+    return {
+      api,
+      profile,
+      ...decision,
+      matchedPatterns: decision.scores ? matchedPatterns(request.prompt) : null,
+      signals: request.signals,
+      inputTokens: request.inputTokens,
+    };
+  }
+
   const server = http.createServer(async (req, res) => {
     // Health check
     if (req.url === '/health') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ status: 'ok', version: '1.0.0' }));
+      res.end(JSON.stringify({
+        status: 'ok',
+        version,
+        models: modelStats.snapshot(),
+        queues: concurrency.snapshot(),
+      }));
+      return;
+    }
+
+    // Prometheus scrape
+    if (req.method === 'GET' && req.url === '/metrics') {
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(metrics.render());
       return;
     }
 
-    // Only handle POST to chat/completions endpoints
-    if (req.method !== 'POST' || !req.url.includes('/chat/completions')) {
-      // Pass through other requests
-      proxyRequest(req, res, baseUrl, litellmApiKey, httpModule);
+    let client;
+    try {
+      client = authorize(req.headers);
+      // Spend and cache administration is for the proxy's owner
+      if (client && req.url.startsWith('/v1/clawrouter/') && req.url !== '/v1/clawrouter/route') {
+        throw new RoutingError('Client keys cannot use admin endpoints', {
+          status: 403,
+          type: 'permission_error',
+          code: 'admin_only',
+        });
+      }
+    } catch (err) {
+      metrics.rejected.inc({ code: err.code });
+      sendError(res, err);
+      return;
+    }
+    const apiKey = client?.upstreamKey || litellmApiKey;
+
+    // Actual spend so far, overall, per day and per session
+    if (req.method === 'GET' && req.url === '/v1/clawrouter/usage') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        ...usageTracker.snapshot(),
+        budgets: budgets ? budgets.snapshot() : null,
+        streams: streamStats.snapshot(),
+        cache: cache ? cache.snapshot() : null,
+        semanticCache: semanticCache ? semanticCache.snapshot() : null,
+      }));
+      return;
+    }
+
+    // Cache inspection and purging, for `litellm-clawrouter cache`
+    if (req.url.split('?')[0] === '/v1/clawrouter/cache' && (req.method === 'GET' || req.method === 'DELETE')) {
+      const query = new URL(req.url, 'http://localhost').searchParams;
+      const filter = { tier: query.get('tier') || undefined, id: query.get('id') || undefined };
+      const type = query.get('type');
+      const caches = { exact: cache, semantic: semanticCache };
+      const body = {};
+      for (const [name, store] of Object.entries(caches)) {
+        if (!store || (type && type !== name)) continue;
+        body[name] = req.method === 'GET'
+          ? { ...store.snapshot(), entries: store.list().filter(entry => !filter.tier || entry.tier === filter.tier) }
+          : { removed: store.purge(filter) };
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+      return;
+    }
+
+    // Routing decision for a payload, without calling LiteLLM
+    if (req.method === 'POST' && req.url === '/v1/clawrouter/route') {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', async () => {
+        try {
+          let payload;
+          try {
+            payload = JSON.parse(body);
+          } catch {
+            throw new RoutingError('Request body is not valid JSON', { code: 'invalid_json' });
+          }
+          const explanation = await explainRoute(payload, req.headers, client);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(explanation));
+        } catch (err) {
+          sendError(res, err);
+        }
+      });
+      return;
+    }
+
+    // Only handle POST to chat/completions and responses endpoints
+    const api = req.method === 'POST' ? detectApi(req.url) : null;
+    if (!api) {
+      // Pass through other requests, within the same budget and rate limits.
+      // Keys limited to tiers or profiles may only send routed requests.
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const body = Buffer.concat(chunks);
+        try {
+          if (client?.tiers || client?.profiles) {
+            throw new RoutingError(`Client key "${client.name}" may only send routed requests`, {
+              status: 403,
+              type: 'permission_error',
+              code: 'endpoint_not_allowed',
+              details: { method: req.method, path: req.url },
+            });
+          }
+          let payload = {};
+          try {
+            payload = JSON.parse(body) || {};
+          } catch {
+            // Not JSON: no consumer or model to take from it
+          }
+          checkBudget(client ? client.name : consumerOf(req.headers, payload), client?.budget || undefined);
+          const estimatedTokens = estimateTokens(body.toString());
+          takeClientRate(client, estimatedTokens);
+          const model = typeof payload.model === 'string' ? payload.model : null;
+          const modelLimit = model && modelLimits(model);
+          const waitMs = modelLimit ? rateLimiter.take(`model:${model}`, modelLimit, estimatedTokens) : 0;
+          if (waitMs) {
+            throw rateLimited(`Rate limit exceeded for ${model}`, waitMs, { scope: `model:${model}` });
+          }
+        } catch (err) {
+          metrics.rejected.inc({ code: err.code });
+          sendError(res, err);
+          return;
+        }
+        proxyRequest(req, res, baseUrl, apiKey, httpModule, body);
+      });
       return;
     }
 
@@ -55,51 +388,307 @@ async function startProxy(options = {}) {
     let body = '';
     req.on('data', chunk => body += chunk);
     req.on('end', async () => {
+      const startedAt = Date.now();
       try {
         const payload = JSON.parse(body);
         const originalModel = payload.model;
 
-        // Check if auto-routing is requested
-        const isAutoRoute = originalModel === 'auto' || 
-                           originalModel === 'litellm/auto' ||
-                           originalModel === 'litellm-clawrouter/auto';
+        // Budget caps: reject past 100%, cap the tier past the threshold.
+        // Requests with a client key are billed to the key.
+        const consumer = client ? client.name : consumerOf(req.headers, payload);
+        const consumerLimits = client?.budget || undefined;
+        const budget = checkBudget(consumer, consumerLimits);
+
+        // Extract prompt from messages (chat) or input items (responses)
+        const autoModel = parseAutoModel(originalModel);
+        if (client?.tiers && !autoModel) {
+          throw new RoutingError(`Client key "${client.name}" may only send routed requests`, {
+            status: 403,
+            type: 'permission_error',
+            code: 'model_not_allowed',
+            details: { model: originalModel, allowedTiers: client.tiers },
+          });
+        }
+        const request = autoModel ? parseRequest(payload, api) : null;
+
+        // Client key rate limits, on the prompt's estimated tokens
+        const estimatedTokens = request ? request.inputTokens : estimateTokens(body);
+        takeClientRate(client, estimatedTokens);
+        let decision = null;
+        let routing = null;
+        let models = [originalModel];
+        // Client keys never share sessions or cached responses with each other
+        const keyScope = client ? `${client.id}:` : '';
+
+        if (request && request.messages.length > 0) {
+          const prompt = request.prompt;
+          const { profile, router } = selectRouter(autoModel, req.headers, client);
+          const { tierOptions, tierSet, sessions } = router;
+          decision = await decide(router, req.headers, payload, request);
+
+          // Responses API follow-ups continue on the model that stored the
+          // previous response (no other provider knows its id), in its session
+          const previous = request.previousResponseId
+            ? responseChains.get(keyScope + request.previousResponseId)
+            : null;
+
+          // Session affinity: don't downgrade a conversation mid-session
+          let rawTier = null;
+          const derivedKey = deriveSessionKey(req.headers, payload, request.messages);
+          const sessionKey = previous ? previous.sessionKey : derivedKey && keyScope + derivedKey;
+          if (sessions && sessionKey && !previous) {
+            const tier = sessions.resolve(sessionKey, decision.tier);
+            if (tier !== decision.tier) {
+              rawTier = decision.tier;
+              decision.tier = tier;
+              decision.model = tierSet.tierModels[tier];
+            }
+          }
+
+          const context = { input: request.inputTokens, output: request.maxOutputTokens };
+          let tierCandidates = null;
+          let ranked = [];
+          if (previous) {
+            decision.tier = previous.tier;
+            decision.model = previous.model;
+            decision.method = 'previous_response';
+            models = [previous.model];
+          } else {
+            // Never land on a tier that can't handle the request (tool calls,
+            // images, or a prompt + max_tokens bigger than the model's window)
+            const maxTier = budget.state === 'downgrade' ? budget.maxTier : null;
+            const allowedTiers = client?.tiers || undefined;
+            constrainTier(decision, { ...requiredCapabilities(request.signals), context, maxTier, allowedTiers }, tierOptions);
+
+            // Pick among the tier's candidate models by live latency and errors
+            tierCandidates = router.candidates[decision.tier];
+            if (tierCandidates) {
+              ranked = rankCandidates(tierCandidates, modelStats).filter(model => fitsContext(model, context));
+              if (ranked.length) decision.model = ranked[0];
+            }
+
+            models = fallbackChain(decision.model, [...ranked, ...(router.fallbacks[decision.tier] || [])])
+              .filter(model => model === decision.model || fitsContext(model, context));
+
+            // Skip models over their rate limit while others in the chain aren't
+            const open = models.filter(model => !rateLimiter.wait(`model:${model}`, modelLimits(model) || {}, estimatedTokens));
+            if (open.length > 0) {
+              models = open;
+              decision.model = open[0];
+            }
+          }
+
+          // Streaming chat only reports usage in a final chunk when asked to
+          if (api === 'chat' && payload.stream && !payload.stream_options?.include_usage) {
+            payload.stream_options = { ...payload.stream_options, include_usage: true };
+          }
+
+          routing = {
+            api,
+            originalModel,
+            profile,
+            routedModel: decision.model,
+            tier: decision.tier,
+            confidence: decision.confidence,
+            method: decision.method,
+            ruleTier: decision.ruleTier || null,
+            strategy: ranked.length ? tierCandidates.strategy : null,
+            escalatedFrom: decision.conversation?.escalatedFrom ?? null,
+            sticky: rawTier !== null,
+            rawTier,
+            sessionKey,
+            adjustments: decision.adjustments,
+            consumer,
+            client: client ? client.name : null,
+            budget: budget.state,
+            cache: null,
+            similarity: null,
+            promptPreview: prompt.slice(0, 100),
+            promptHash: hashPrompt(prompt),
+          };
+          metrics.routingSeconds.observe({ tier: decision.tier }, (Date.now() - startedAt) / 1000);
+          metrics.estimatedCost.inc({ tier: decision.tier, model: decision.model }, estimateCost(decision.model, request.inputTokens));
+        }
+
+        // Deterministic routed requests can be answered from the cache
+        const key = routing && cache && isCacheable(payload, req.headers)
+          ? keyScope + cacheKey({ ...payload, model: decision.model })
+          : null;
+        let cached = key ? cache.get(key) : null;
+        if (key) metrics.cacheLookups.inc({ cache: 'exact', result: cached ? 'hit' : 'miss' });
 
-        if (isAutoRoute && payload.messages?.length > 0) {
-          // Extract prompt from messages
-          const lastMessage = payload.messages[payload.messages.length - 1];
-          const prompt = typeof lastMessage.content === 'string' 
-            ? lastMessage.content 
-            : JSON.stringify(lastMessage.content);
+        // Near-duplicates of earlier prompts, for the semantic cache's tiers.
+        // Only the last user turn is compared; the messages before it are
+        // part of the scope, so a long shared system prompt can't make two
+        // different questions look alike.
+        let semantic = null;
+        const turn = routing ? lastUserTurn(request.messages) : null;
+        if (turn && !cached && semanticCache && semanticCache.thresholdFor(decision.tier) !== null
+          && !cacheBypassed(req.headers)) {
+          const scope = keyScope + cacheKey({ ...payload, model: decision.model, messages: turn.context, input: undefined, instructions: undefined });
+          const { text } = turn;
+          try {
+            const match = await semanticCache.lookup(scope, decision.tier, text);
+            metrics.cacheLookups.inc({ cache: 'semantic', result: match.entry ? 'hit' : 'miss' });
+            semantic = { scope, text, signature: match.signature };
+            if (match.entry) {
+              cached = match.entry;
+              routing.similarity = match.similarity;
+            }
+          } catch (err) {
+            // A failing embeddings backend shouldn't fail the request
+            if (onError) onError(err);
+          }
+        }
+        if (routing) routing.cache = key || semantic ? (cached ? 'hit' : 'miss') : null;
 
-          // Route the request
-          const decision = route(prompt, { tierModels });
-          payload.model = decision.model;
+        // Forward to LiteLLM, falling back along the tier's chain on failure.
+        // A client that goes away gives up its place in a model's queue.
+        const upstream = { baseUrl, apiKey, httpModule };
+        const abort = new AbortController();
+        res.on('close', () => abort.abort());
+        const result = cached
+          ? replayCached(res, cached, routingHeaders(routing, decision, cached.model))
+          : await forwardWithFallbacks(req, res, upstream, payload, models, {
+            ...retryPolicy,
+            maxAttempts: routing ? retryPolicy.maxAttempts : 1,
+            startedAt,
+            responseHeaders: routing ? model => routingHeaders(routing, decision, model) : null,
+            captureBytes: Math.max(key ? cache.options.maxEntryBytes : 0, semantic ? semanticCache.options.maxEntryBytes : 0),
+            admit: model => admit(model, estimatedTokens, abort.signal),
+            onPayload: routing && api === 'responses' ? (data, model) => {
+              const id = responseIdOf(data);
+              if (id) responseChains.record(keyScope + id, { tier: routing.tier, model, sessionKey: routing.sessionKey });
+            } : null,
+            onAttemptError: onError,
+          });
+        result.completed.then((usage) => {
+          if (usage) settleTokens(client, result.model, estimatedTokens, usage);
+        });
+        if (routing) {
+          for (const failure of result.failures) modelStats.record(failure.model, { ok: false });
+        }
 
-          const savings = estimateSavings(decision.model);
+        if (!routing && budgets) {
+          result.completed.then((usage) => {
+            if (usage) budgets.record(consumer, costOf(result.model, usage, baselineModel).cost, Date.now(), consumerLimits);
+          });
+        }
 
+        if (routing) {
+          // Estimated savings until the response reports actual usage
+          const savings = estimateSavings(result.model, baselineModel);
           if (onRouted) {
             onRouted({
-              originalModel,
-              routedModel: decision.model,
-              tier: decision.tier,
-              confidence: decision.confidence,
+              ...routing,
+              servedModel: result.model,
+              attempts: result.attempts,
+              fallback: result.model !== routing.routedModel,
+              status: result.status,
               savings,
-              promptPreview: prompt.slice(0, 100),
             });
           }
 
-          // Log routing decision
-          const savingsPercent = (savings * 100).toFixed(0);
-          console.log(`[${decision.tier}] ${decision.model} (saved ${savingsPercent}%)`);
-        }
+          result.completed.then((usage) => {
+            const accounting = usage ? usageTracker.record(routing.sessionKey, result.model, usage) : null;
+            if (budgets && accounting) budgets.record(consumer, accounting.cost, Date.now(), consumerLimits);
+            const latencyMs = Date.now() - startedAt;
+            if (result.stream) streamStats.record(result.model, result.stream);
+
+            metrics.requests.inc({ tier: routing.tier, model: result.model, status: result.status });
+            if (!cached && result.model !== routing.routedModel) {
+              metrics.fallbacks.inc({ tier: routing.tier, routed_model: routing.routedModel, served_model: result.model });
+            }
+            if (accounting) metrics.actualCost.inc({ tier: routing.tier, model: result.model }, accounting.cost);
+
+            // Keep complete successful responses for the next identical request
+            if (result.body) {
+              result.body.then((body) => {
+                if (body === null || result.status !== 200 || result.stream?.error) return;
+                const response = {
+                  status: result.status,
+                  contentType: result.contentType,
+                  body,
+                  model: result.model,
+                  tier: routing.tier,
+                  preview: routing.promptPreview,
+                };
+                if (key) cache.set(key, response);
+                if (semantic) semanticCache.add(semantic.scope, routing.tier, semantic.text, semantic.signature, response);
+              });
+            }
+
+            // The served model's own latency: time to first token for
+            // streams, else the whole response, from its attempt's start
+            if (!cached && !result.failures.some(f => f.attempt === result.attempts)) {
+              const offset = result.attemptStartedAt - startedAt;
+              modelStats.record(result.model, {
+                ok: !result.stream?.error,
+                latencyMs: result.stream?.ttftMs != null ? result.stream.ttftMs - offset : latencyMs - offset,
+              });
+              metrics.upstreamSeconds.observe({ model: result.model }, (latencyMs - offset) / 1000);
+            }
 
-        // Forward to LiteLLM
-        const newBody = JSON.stringify(payload);
-        proxyRequestWithBody(req, res, baseUrl, litellmApiKey, httpModule, newBody);
+            // Log routing decision
+            const savingsPercent = ((accounting ? accounting.savings : savings) * 100).toFixed(0);
+            const costNote = accounting ? ` $${accounting.cost.toFixed(6)}` : '';
+            const fallbackNote = result.model !== routing.routedModel ? ` (fallback from ${routing.routedModel})` : '';
+            console.log(`[${routing.tier}] ${result.model}${costNote} (saved ${savingsPercent}%)${fallbackNote}`);
+
+            if (routingLog) {
+              routingLog.append({
+                api,
+                profile: routing.profile,
+                client: routing.client,
+                tier: routing.tier,
+                model: result.model,
+                routedModel: routing.routedModel,
+                confidence: routing.confidence,
+                method: routing.method,
+                ruleTier: routing.ruleTier,
+                scores: decision.scores,
+                promptHash: routing.promptHash,
+                sessionKey: routing.sessionKey,
+                sticky: routing.sticky,
+                cache: routing.cache,
+                similarity: routing.similarity,
+                attempts: result.attempts,
+                latencyMs,
+                ...(result.stream && {
+                  ttftMs: result.stream.ttftMs,
+                  chunks: result.stream.chunks,
+                  streamError: result.stream.error,
+                }),
+                status: result.status,
+                usage,
+                cost: accounting ? accounting.cost : null,
+                baselineCost: accounting ? accounting.baselineCost : null,
+              });
+            }
+
+            if (onCompleted) {
+              onCompleted({
+                ...routing,
+                servedModel: result.model,
+                status: result.status,
+                latencyMs,
+                stream: result.stream,
+                usage,
+                cost: accounting ? accounting.cost : null,
+                baselineCost: accounting ? accounting.baselineCost : null,
+                savings: accounting ? accounting.savings : savings,
+              });
+            }
+          });
+        }
       } catch (err) {
         if (onError) onError(err);
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: err.message }));
+        if (err instanceof RoutingError) metrics.rejected.inc({ code: err.code });
+        if (res.headersSent) {
+          res.end();
+          return;
+        }
+        sendError(res, err);
       }
     });
   });
@@ -137,12 +726,14 @@ async function startProxy(options = {}) {
     });
 
     server.listen(port, () => {
-      const proxyUrl = `http://localhost:${port}`;
-      if (onReady) onReady(port);
+      const actualPort = server.address().port;
+      const proxyUrl = `http://localhost:${actualPort}`;
+      if (onReady) onReady(actualPort);
       resolve({
-        port,
+        port: actualPort,
         baseUrl: proxyUrl,
         reused: false,
+        getUsage: () => usageTracker.snapshot(),
         close: () => new Promise(r => server.close(r)),
       });
     });
@@ -150,10 +741,124 @@ async function startProxy(options = {}) {
 }
 
 /**
- * Proxy a request with a modified body
+ * JSON error response; RoutingErrors get an OpenAI-style error body so
+ * clients surface the message
  */
-function proxyRequestWithBody(clientReq, clientRes, baseUrl, apiKey, httpModule, body) {
-  const url = new URL(clientReq.url, baseUrl);
+function sendError(res, err) {
+  if (err instanceof RoutingError) {
+    res.writeHead(err.status, { 'Content-Type': 'application/json', ...err.headers });
+    res.end(JSON.stringify({
+      error: { message: err.message, type: err.type, code: err.code, ...(err.details && { details: err.details }) },
+    }));
+    return;
+  }
+  res.writeHead(500, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: err.message }));
+}
+
+/**
+ * Answer from a cached response, in the shape forwardWithFallbacks() returns
+ */
+function replayCached(res, cached, headers) {
+  res.writeHead(cached.status, { 'Content-Type': cached.contentType, ...headers });
+  res.end(cached.body);
+  return {
+    model: cached.model,
+    attempts: 0,
+    status: cached.status,
+    completed: Promise.resolve(null),
+    stream: null,
+    failures: [],
+    attemptStartedAt: Date.now(),
+    contentType: cached.contentType,
+    body: null,
+  };
+}
+
+/**
+ * Buffer a response's text alongside whatever consumes it; null when it
+ * exceeds `maxBytes` or doesn't finish
+ */
+function collectBody(proxyRes, maxBytes) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    let size = 0;
+    proxyRes.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= maxBytes) chunks.push(chunk);
+    });
+    proxyRes.on('end', () => resolve(size <= maxBytes ? Buffer.concat(chunks).toString('utf8') : null));
+    proxyRes.on('error', () => resolve(null));
+    proxyRes.on('close', () => resolve(null));
+  });
+}
+
+/**
+ * `x-clawrouter-*` headers explaining a routed response
+ */
+function routingHeaders(routing, decision, servedModel) {
+  let reason = decision.method;
+  if (decision.scores) {
+    const top = Object.entries(decision.scores)
+      .filter(([, score]) => score > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([dim, score]) => `${dim}=${score.toFixed(2)}`);
+    if (top.length) reason += `; ${top.join(', ')}`;
+  }
+  return {
+    'x-clawrouter-tier': routing.tier,
+    'x-clawrouter-model': servedModel,
+    'x-clawrouter-confidence': routing.confidence.toFixed(3),
+    'x-clawrouter-reason': reason,
+    ...(routing.profile && { 'x-clawrouter-profile': routing.profile }),
+    ...(routing.cache && { [CACHE_HEADER]: routing.cache }),
+    ...(routing.similarity != null && { 'x-clawrouter-cache-similarity': routing.similarity.toFixed(3) }),
+  };
+}
+
+/**
+ * Routing state for one profile: resolved tiers, compiled rules and sessions
+ */
+function createRouter(options, stickiness) {
+  const tierOptions = {
+    tiers: options.tiers,
+    tierModels: options.tierModels,
+    tierCapabilities: options.tierCapabilities,
+  };
+  const tierSet = resolveTiers(tierOptions);
+  return {
+    tierOptions,
+    tierSet,
+    rules: compileRules(options.rules || [], tierSet.tierModels),
+    candidates: compileCandidates(options.candidates, tierSet.tierModels),
+    weights: options.weights,
+    thresholds: options.thresholds,
+    fallbacks: options.fallbacks || {},
+    // Pass `stickiness: false` to route every turn independently
+    sessions: stickiness ? new SessionStore({ ...stickiness, tierOrder: tierSet.order }) : null,
+  };
+}
+
+/**
+ * Upstream statuses worth retrying on another model
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Routed model first, then the tier's fallbacks (without repeats)
+ */
+function fallbackChain(model, fallbacks = []) {
+  return [...new Set([model, ...fallbacks])];
+}
+
+/**
+ * Send a request body upstream; resolves with the upstream response
+ */
+function sendUpstream(clientReq, upstream, body) {
+  const url = new URL(clientReq.url, upstream.baseUrl);
   
   const options = {
     hostname: url.hostname,
@@ -163,30 +868,126 @@ function proxyRequestWithBody(clientReq, clientRes, baseUrl, apiKey, httpModule,
     headers: {
       ...clientReq.headers,
       'host': url.host,
-      'authorization': `Bearer ${apiKey}`,
+      'authorization': `Bearer ${upstream.apiKey}`,
       'content-length': Buffer.byteLength(body),
     },
   };
+  // Body is re-serialized, so the client's chunked framing no longer applies
+  delete options.headers['transfer-encoding'];
+  // May hold a client key, which LiteLLM has no use for
+  delete options.headers['x-api-key'];
 
-  const proxyReq = httpModule.request(options, (proxyRes) => {
-    clientRes.writeHead(proxyRes.statusCode, proxyRes.headers);
-    proxyRes.pipe(clientRes);
+  return new Promise((resolve, reject) => {
+    const proxyReq = upstream.httpModule.request(options, resolve);
+    proxyReq.on('error', reject);
+    proxyReq.write(body);
+    proxyReq.end();
   });
+}
 
-  proxyReq.on('error', (err) => {
-    console.error('Proxy error:', err.message);
-    clientRes.writeHead(502, { 'Content-Type': 'application/json' });
-    clientRes.end(JSON.stringify({ error: 'Bad gateway', details: err.message }));
-  });
+/**
+ * Forward a payload, trying each model in `models` in turn while attempts
+ * fail with 429, 5xx or a connection error. Nothing is written to the client
+ * until an attempt succeeds or the attempt budget runs out, so retries are
+ * invisible to it. `responseHeaders(model)` adds headers to the response the
+ * client gets. Resolves with the model that served the request, a
+ * `completed` promise for the response's token usage, for SSE responses
+ * `stream` metrics that are final once `completed` resolves, and the
+ * `failures` ({ model, attempt, status }) along the way. With `captureBytes`,
+ * `body` resolves with the response text (null if larger). `onPayload(data,
+ * model)` sees the served response's parsed body or SSE events.
+ */
+async function forwardWithFallbacks(clientReq, clientRes, upstream, payload, models, retry) {
+  const { maxAttempts, backoffMs, maxBackoffMs, responseHeaders, startedAt, captureBytes, admit, onPayload, onAttemptError } = retry;
+  const failures = [];
+
+  for (let attempt = 1; ; attempt++) {
+    const model = models[(attempt - 1) % models.length];
+    const isLast = attempt >= maxAttempts;
+    if (model !== undefined) payload.model = model;
+    const attemptStartedAt = Date.now();
+    const done = (status, completed, stream = null, proxyRes = null) => ({
+      model,
+      attempts: attempt,
+      status,
+      completed,
+      stream,
+      failures,
+      attemptStartedAt,
+      contentType: proxyRes?.headers['content-type'] || null,
+      body: proxyRes && captureBytes ? collectBody(proxyRes, captureBytes) : null,
+    });
+
+    // Rate limit and concurrency slot for this model; a 429 from here ends
+    // the request, as retrying a busy model only adds load
+    const release = admit ? await admit(model) : () => {};
+
+    let proxyRes;
+    try {
+      proxyRes = await sendUpstream(clientReq, upstream, JSON.stringify(payload));
+    } catch (err) {
+      release();
+      err.model = model;
+      err.attempt = attempt;
+      failures.push({ model, attempt, status: null });
+      if (onAttemptError) onAttemptError(err);
+      if (isLast) {
+        console.error('Proxy error:', err.message);
+        clientRes.writeHead(502, { 'Content-Type': 'application/json' });
+        clientRes.end(JSON.stringify({ error: 'Bad gateway', details: err.message }));
+        return done(502, Promise.resolve(null));
+      }
+    }
+
+    if (proxyRes) {
+      if (isRetryableStatus(proxyRes.statusCode)) {
+        failures.push({ model, attempt, status: proxyRes.statusCode });
+      }
+      if (!isRetryableStatus(proxyRes.statusCode) || isLast) {
+        clientRes.writeHead(proxyRes.statusCode, {
+          ...proxyRes.headers,
+          ...(responseHeaders && responseHeaders(model)),
+        });
+        // The slot frees when the response is done or the client is gone,
+        // whichever comes first
+        clientRes.once('close', release);
+        // SSE is relayed event by event so stream metrics can be taken
+        if (isEventStream(proxyRes)) {
+          const result = done(proxyRes.statusCode, null, null, proxyRes);
+          const { metrics, completed } = relayStream(proxyRes, clientRes, {
+            startedAt,
+            onPayload: onPayload && (data => onPayload(data, model)),
+          });
+          completed.then(release);
+          return { ...result, completed, stream: metrics };
+        }
+        const result = done(proxyRes.statusCode, captureUsage(proxyRes, onPayload && (data => onPayload(data, model))), null, proxyRes);
+        result.completed.then(release);
+        proxyRes.pipe(clientRes);
+        return result;
+      }
 
-  proxyReq.write(body);
-  proxyReq.end();
+      // Discard the failed response and move on to the next model
+      proxyRes.resume();
+      release();
+      if (onAttemptError) {
+        const err = new Error(`Upstream ${model} returned HTTP ${proxyRes.statusCode}`);
+        err.model = model;
+        err.status = proxyRes.statusCode;
+        err.attempt = attempt;
+        onAttemptError(err);
+      }
+    }
+
+    const delay = Math.min(backoffMs * 2 ** (attempt - 1), maxBackoffMs);
+    await new Promise(r => setTimeout(r, delay));
+  }
 }
 
 /**
  * Pass-through proxy for non-chat requests
  */
-function proxyRequest(clientReq, clientRes, baseUrl, apiKey, httpModule) {
+function proxyRequest(clientReq, clientRes, baseUrl, apiKey, httpModule, body) {
   const url = new URL(clientReq.url, baseUrl);
   
   const options = {
@@ -200,6 +1001,7 @@ function proxyRequest(clientReq, clientRes, baseUrl, apiKey, httpModule) {
       'authorization': `Bearer ${apiKey}`,
     },
   };
+  delete options.headers['x-api-key'];
 
   const proxyReq = httpModule.request(options, (proxyRes) => {
     clientRes.writeHead(proxyRes.statusCode, proxyRes.headers);
@@ -212,7 +1014,11 @@ function proxyRequest(clientReq, clientRes, baseUrl, apiKey, httpModule) {
     clientRes.end(JSON.stringify({ error: 'Bad gateway', details: err.message }));
   });
 
-  clientReq.pipe(proxyReq);
+  if (body) {
+    proxyReq.end(body);
+  } else {
+    clientReq.pipe(proxyReq);
+  }
 }
 
-module.exports = { startProxy, DEFAULT_PORT };
+module.exports = { startProxy, fallbackChain, DEFAULT_PORT, DEFAULT_RETRY };
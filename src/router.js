@@ -1,10 +1,13 @@
 /**
  * LiteLLM ClawRouter - Smart routing logic
  * 
- * 14-dimension weighted scoring (inspired by ClawRouter)
+ * 14-dimension weighted scoring (inspired by ClawRouter), plus
+ * request-level signals (tools, structured output, images/audio/files)
  * Runs 100% locally, <1ms, zero API calls
  */
 
+const { contentToText } = require('./payload');
+
 // Default tier → model mapping (user can override)
 const DEFAULT_TIER_MODELS = {
   SIMPLE: 'gemini/gemini-2.0-flash',      // $0.10/M - simple Q&A
@@ -13,7 +16,68 @@ const DEFAULT_TIER_MODELS = {
   REASONING: 'deepseek/deepseek-reasoner', // $0.55/M - step-by-step reasoning
 };
 
-// Scoring weights (total = 1.0)
+// What each tier's default model can handle; requests needing a capability
+// the routed tier lacks are moved to the nearest tier that has it.
+// `toolHeavy` (many tools or a forced call) defaults to the tier's `tools`.
+const DEFAULT_TIER_CAPABILITIES = {
+  SIMPLE: { tools: true, toolHeavy: false, vision: true, audio: true, files: true }, // flash models mangle complex tool calls
+  MEDIUM: { tools: true, toolHeavy: true, vision: false, audio: false, files: false },
+  COMPLEX: { tools: true, toolHeavy: true, vision: true, audio: false, files: true },
+  REASONING: { tools: false, toolHeavy: false, vision: false, audio: false, files: false }, // no function calling
+};
+
+// Tiers from cheapest to most capable; a thread never escalates "down" this list
+const TIER_ORDER = ['SIMPLE', 'MEDIUM', 'REASONING', 'COMPLEX'];
+
+// Custom tiers are assumed capable of everything unless configured otherwise
+const ALL_CAPABILITIES = { tools: true, vision: true, audio: true, files: true };
+
+/**
+ * Resolve the tier set a request is routed over.
+ *
+ * `options.tiers` is an ordered list (cheapest first) of
+ * `{ name, model, capabilities, when, minScore, maxScore }`. Built-in tiers
+ * are picked by the scorer; custom tiers by their predicates: every
+ * `when: { dimension: min }` score (or request signal, e.g. `images`) must
+ * reach its minimum and the weighted score must fall within
+ * `minScore`..`maxScore`. Without `tiers`, the built-in order is used for the
+ * keys of `options.tierModels`.
+ *
+ * Returns `{ order, tierModels, tierCapabilities, predicates }`.
+ */
+function resolveTiers(options = {}) {
+  const tierCapabilities = { ...DEFAULT_TIER_CAPABILITIES, ...options.tierCapabilities };
+
+  if (!options.tiers) {
+    const tierModels = options.tierModels || DEFAULT_TIER_MODELS;
+    const order = [
+      ...TIER_ORDER.filter(tier => tierModels[tier]),
+      ...Object.keys(tierModels).filter(tier => !TIER_ORDER.includes(tier)),
+    ];
+    for (const tier of order) tierCapabilities[tier] = tierCapabilities[tier] || ALL_CAPABILITIES;
+    return { order, tierModels, tierCapabilities, predicates: [] };
+  }
+
+  const tierModels = {};
+  const predicates = [];
+  for (const tier of options.tiers) {
+    const model = tier.model || options.tierModels?.[tier.name] || DEFAULT_TIER_MODELS[tier.name];
+    if (!tier.name || !model) {
+      throw new Error(`Tier "${tier.name}" needs a name and a model`);
+    }
+    tierModels[tier.name] = model;
+    tierCapabilities[tier.name] = { ...(tierCapabilities[tier.name] || ALL_CAPABILITIES), ...tier.capabilities };
+    if (tier.when || tier.minScore !== undefined || tier.maxScore !== undefined) {
+      predicates.push({ tier: tier.name, when: tier.when || {}, minScore: tier.minScore, maxScore: tier.maxScore });
+    }
+  }
+  if (!TIER_ORDER.some(tier => tierModels[tier])) {
+    throw new Error(`At least one of ${TIER_ORDER.join(', ')} must be configured`);
+  }
+  return { order: Object.keys(tierModels), tierModels, tierCapabilities, predicates };
+}
+
+// Scoring weights: the text dimensions total 1.0, request signals add to that
 const WEIGHTS = {
   reasoning: 0.20,      // "prove", "theorem", "step by step"
   code: 0.18,           // "function", "async", "import", "```"
@@ -29,6 +93,21 @@ const WEIGHTS = {
   domain: 0.02,         // "quantum", "fpga", "genomics"
   reference: 0.01,      // "the docs", "the api", "above"
   negation: 0.01,       // "don't", "avoid", "without"
+
+  // Request signals (on top of the text dimensions above)
+  toolUse: 0.10,        // `tools`, forced `tool_choice`, prior tool messages
+  structuredOutput: 0.04, // `response_format` / JSON schema
+};
+
+// toolUse score from which a request needs a tier that handles many tools
+// (10 tools, or 5 tools and 5 earlier tool messages)
+const TOOL_HEAVY_SCORE = 0.5;
+
+// Weighted-score cut-offs between SIMPLE/MEDIUM and MEDIUM/COMPLEX
+// (`litellm-clawrouter train` fits both together with WEIGHTS)
+const DEFAULT_THRESHOLDS = {
+  simple: 0.20,
+  medium: 0.40,
 };
 
 // Keyword patterns for each dimension
@@ -98,65 +177,180 @@ const PATTERNS = {
 };
 
 /**
- * Calculate dimension scores for a prompt
+ * Token count score (short = simple, long = complex)
+ */
+function tokenCountScore(tokenCount) {
+  if (tokenCount < 50) {
+    return 0.2; // Likely simple
+  } else if (tokenCount > 500) {
+    return 0.9; // Likely complex
+  }
+  return 0.5 + (tokenCount - 50) / 900; // Linear interpolation
+}
+
+function countTokens(text) {
+  return text.split(/\s+/).length;
+}
+
+/**
+ * Score request-level signals extracted from the payload (see payload.js)
+ */
+function scoreSignals(signals = {}) {
+  const {
+    toolCount = 0,
+    forcedToolChoice = false,
+    toolMessages = 0,
+    structuredOutput = false,
+    jsonSchema = false,
+  } = signals;
+
+  return {
+    // 20+ tools, or a forced call in a tool-heavy thread, saturates the dimension
+    toolUse: Math.min(toolCount / 20 + (forcedToolChoice ? 0.4 : 0) + Math.min(toolMessages, 5) * 0.06, 1.0),
+    structuredOutput: jsonSchema ? 1.0 : structuredOutput ? 0.5 : 0,
+  };
+}
+
+/**
+ * Capabilities a request needs from the tier that serves it. Any tool needs
+ * `tools`; a forced tool call or a tool-heavy request also needs `toolHeavy`.
+ * A few tools offered alongside a plain question (agents send them every
+ * turn) only move it off tiers with no function calling at all.
  */
-function scoreDimensions(prompt) {
+function requiredCapabilities(signals = {}) {
+  return {
+    tools: (signals.toolCount || 0) > 0 || !!signals.forcedToolChoice,
+    toolHeavy: !!signals.forcedToolChoice || scoreSignals(signals).toolUse >= TOOL_HEAVY_SCORE,
+    vision: (signals.images || 0) > 0,
+    audio: (signals.audio || 0) > 0,
+    files: (signals.files || 0) > 0,
+  };
+}
+
+/**
+ * Every match of `pattern` in `text` as { text, index }
+ */
+function findMatches(pattern, text) {
+  const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+  return [...text.matchAll(global)].map(match => ({ text: match[0], index: match.index }));
+}
+
+/**
+ * Calculate dimension scores for a prompt.
+ *
+ * With `{ explain: true }` returns { scores, matches } instead, where
+ * matches[dim] lists each pattern that matched ({ pattern, matches }) with
+ * the substrings it matched and their offsets in the prompt.
+ */
+function scoreDimensions(prompt, signals, options = {}) {
+  const { explain = false } = options;
   const scores = {};
-  const promptLower = prompt.toLowerCase();
-  const tokenCount = prompt.split(/\s+/).length;
+  const explanation = {};
   
   // Pattern-based scores
   for (const [dim, patterns] of Object.entries(PATTERNS)) {
     let matches = 0;
     for (const pattern of patterns) {
-      if (pattern.test(prompt)) matches++;
+      if (!pattern.test(prompt)) continue;
+      matches++;
+      if (explain) {
+        explanation[dim] = explanation[dim] || [];
+        explanation[dim].push({ pattern: pattern.source, matches: findMatches(pattern, prompt) });
+      }
     }
     scores[dim] = Math.min(matches / patterns.length, 1.0);
   }
   
-  // Token count score (short = simple, long = complex)
-  if (tokenCount < 50) {
-    scores.tokenCount = 0.2; // Likely simple
-  } else if (tokenCount > 500) {
-    scores.tokenCount = 0.9; // Likely complex
-  } else {
-    scores.tokenCount = 0.5 + (tokenCount - 50) / 900; // Linear interpolation
-  }
+  scores.tokenCount = tokenCountScore(countTokens(prompt));
   
   // Question complexity (multiple question marks = more complex)
   const questionMarks = (prompt.match(/\?/g) || []).length;
   scores.questionComplexity = Math.min(questionMarks / 3, 1.0);
+  if (explain && questionMarks > 0) {
+    explanation.questionComplexity = [{ pattern: '\\?', matches: findMatches(/\?/, prompt) }];
+  }
+  
+  Object.assign(scores, scoreSignals(signals));
   
-  return scores;
+  return explain ? { scores, matches: explanation } : scores;
 }
 
 /**
- * Calculate weighted score and select tier
+ * Patterns that matched a prompt, per dimension (the `matches` of
+ * scoreDimensions()'s explain mode)
  */
-function route(prompt, options = {}) {
-  const tierModels = options.tierModels || DEFAULT_TIER_MODELS;
-  const scores = scoreDimensions(prompt);
-  
+function matchedPatterns(prompt) {
+  return scoreDimensions(prompt, undefined, { explain: true }).matches;
+}
+
+function countReasoningMarkers(prompt) {
+  let reasoningMatches = 0;
+  for (const pattern of PATTERNS.reasoning) {
+    if (pattern.test(prompt)) reasoningMatches++;
+  }
+  return reasoningMatches;
+}
+
+/**
+ * Whether a custom tier's predicate holds for a request
+ */
+function matchesPredicate(predicate, scores, weightedSum, signals = {}) {
+  if (predicate.minScore !== undefined && weightedSum < predicate.minScore) return false;
+  if (predicate.maxScore !== undefined && weightedSum >= predicate.maxScore) return false;
+  return Object.entries(predicate.when).every(([key, min]) => (scores[key] ?? signals[key] ?? 0) >= min);
+}
+
+/**
+ * Nearest configured tier to a built-in one the scorer picked
+ * (the next more capable built-in tier, else the next cheaper)
+ */
+function configuredTier(tier, tierModels) {
+  if (tierModels[tier]) return tier;
+  const rank = TIER_ORDER.indexOf(tier);
+  return TIER_ORDER.slice(rank + 1).find(t => tierModels[t]) ||
+    TIER_ORDER.slice(0, rank).reverse().find(t => tierModels[t]) || tier;
+}
+
+/**
+ * Select a tier from dimension scores and the prompt's reasoning markers.
+ * `weights` and `thresholds` override WEIGHTS and DEFAULT_THRESHOLDS
+ * (e.g. with values fitted by `litellm-clawrouter train`). Custom tier
+ * predicates are checked first, in tier order.
+ */
+function selectTier(scores, reasoningMatches, tiers, options = {}) {
+  const { tierModels, predicates } = tiers;
+  const weights = { ...WEIGHTS, ...options.weights };
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+
   // Calculate weighted sum
   let weightedSum = 0;
-  for (const [dim, weight] of Object.entries(WEIGHTS)) {
+  for (const [dim, weight] of Object.entries(weights)) {
     weightedSum += (scores[dim] || 0) * weight;
   }
   
   // Sigmoid calibration for confidence
   const confidence = 1 / (1 + Math.exp(-10 * (weightedSum - 0.5)));
   
-  // Special rule: 2+ strong reasoning markers → REASONING at 0.97 confidence
-  const reasoningPatterns = PATTERNS.reasoning;
-  let reasoningMatches = 0;
-  for (const pattern of reasoningPatterns) {
-    if (pattern.test(prompt)) reasoningMatches++;
+  const custom = predicates.find(p => matchesPredicate(p, scores, weightedSum, options.signals));
+  if (custom) {
+    return {
+      tier: custom.tier,
+      model: tierModels[custom.tier],
+      confidence,
+      weightedScore: weightedSum,
+      method: 'predicate',
+      scores,
+    };
   }
+  
+  // Special rule: 2+ strong reasoning markers → REASONING at 0.97 confidence
   if (reasoningMatches >= 2) {
+    const tier = configuredTier('REASONING', tierModels);
     return {
-      tier: 'REASONING',
-      model: tierModels.REASONING,
+      tier,
+      model: tierModels[tier],
       confidence: 0.97,
+      weightedScore: weightedSum,
       method: 'rules',
       scores,
     };
@@ -169,15 +363,16 @@ function route(prompt, options = {}) {
   const hasStrongCode = scores.code > 0.3 || scores.technical > 0.3;
   const hasStrongImperative = scores.imperative > 0.3 && (scores.code > 0.1 || scores.technical > 0.1);
   
-  if (weightedSum < 0.20 && !hasStrongCode && !hasStrongImperative) {
+  if (weightedSum < thresholds.simple && !hasStrongCode && !hasStrongImperative) {
     tier = 'SIMPLE';
   } else if (scores.reasoning > 0.5 || reasoningMatches >= 1) {
     tier = 'REASONING';
-  } else if (weightedSum < 0.40 && !hasStrongImperative) {
+  } else if (weightedSum < thresholds.medium && !hasStrongImperative) {
     tier = 'MEDIUM';
   } else {
     tier = 'COMPLEX';
   }
+  tier = configuredTier(tier, tierModels);
   
   return {
     tier,
@@ -189,6 +384,287 @@ function route(prompt, options = {}) {
   };
 }
 
+/**
+ * Calculate weighted score and select tier
+ */
+function route(prompt, options = {}) {
+  const scores = scoreDimensions(prompt, options.signals);
+  return selectTier(scores, countReasoningMarkers(prompt), resolveTiers(options), options);
+}
+
+/**
+ * Position of a tier in `order` (cheapest first), or -1
+ */
+function tierRank(tier, order = TIER_ORDER) {
+  return order.indexOf(tier);
+}
+
+/**
+ * Fold another message's scores into the running conversation scores.
+ * Each dimension keeps the strongest signal after discounting by `factor`.
+ */
+function mergeScores(target, source, factor) {
+  for (const [dim, value] of Object.entries(source)) {
+    if (dim === 'tokenCount') continue; // Scored over the whole thread instead
+    target[dim] = Math.max(target[dim] || 0, value * factor);
+  }
+}
+
+/**
+ * Route a whole conversation rather than just its last message.
+ *
+ * The last turn is scored as-is; earlier turns contribute with exponential
+ * recency decay, the system prompt with a fixed discount, and the token count
+ * dimension covers the entire context. A thread that already reached a higher
+ * tier within the last `escalationWindow` user turns (or `previousTier`) is
+ * not routed below it.
+ */
+function routeConversation(messages, options = {}) {
+  const {
+    recencyDecay = 0.6,
+    systemWeight = 0.3,
+    escalationWindow = 4,
+    previousTier,
+    signals,
+    weights,
+    thresholds,
+  } = options;
+  const tiers = resolveTiers(options);
+  const { order, tierModels } = tiers;
+  const routeOptions = { tiers: options.tiers, tierModels: options.tierModels, weights, thresholds };
+
+  const isSystem = m => m.role === 'system' || m.role === 'developer';
+  const textOf = m => contentToText(m.content);
+  const system = messages.filter(isSystem).map(textOf).join('\n');
+  const turns = messages.filter(m => !isSystem(m));
+
+  if (turns.length === 0) {
+    const decision = route(system, { ...routeOptions, signals });
+    decision.conversation = { turns: 0, contextTokens: countTokens(system), escalatedFrom: null };
+    return decision;
+  }
+
+  const lastPrompt = textOf(turns[turns.length - 1]);
+  const scores = scoreDimensions(lastPrompt, signals);
+
+  // Earlier turns, newest first, decay with distance from the last turn
+  let escalatedTier = tierRank(previousTier, order) >= 0 ? previousTier : null;
+  let userTurnsSeen = 0;
+  for (let i = turns.length - 2, age = 1; i >= 0; i--, age++) {
+    const content = textOf(turns[i]);
+    mergeScores(scores, scoreDimensions(content), Math.pow(recencyDecay, age));
+
+    if (turns[i].role === 'user' && ++userTurnsSeen <= escalationWindow) {
+      const turnTier = route(content, routeOptions).tier;
+      if (!escalatedTier || tierRank(turnTier, order) > tierRank(escalatedTier, order)) {
+        escalatedTier = turnTier;
+      }
+    }
+  }
+
+  if (system) {
+    mergeScores(scores, scoreDimensions(system), systemWeight);
+  }
+
+  // Total context size, not just the last message
+  const contextTokens = messages.reduce((sum, m) => sum + countTokens(textOf(m)), 0);
+  scores.tokenCount = tokenCountScore(contextTokens);
+
+  const decision = selectTier(scores, countReasoningMarkers(lastPrompt), tiers, { weights, thresholds, signals });
+
+  let escalatedFrom = null;
+  if (escalatedTier && tierRank(escalatedTier, order) > tierRank(decision.tier, order)) {
+    escalatedFrom = decision.tier;
+    decision.tier = escalatedTier;
+    decision.model = tierModels[escalatedTier];
+  }
+
+  decision.conversation = {
+    turns: turns.length,
+    contextTokens,
+    escalatedFrom,
+  };
+  return decision;
+}
+
+// Classifier backends registered with registerClassifier(), by name
+const classifiers = new Map();
+
+// Rule-based confidence range treated as ambiguous in hybrid mode
+// (roughly weighted scores 0.15–0.46, around the SIMPLE/MEDIUM/COMPLEX cut-offs)
+const DEFAULT_AMBIGUOUS_BAND = [0.03, 0.40];
+
+/**
+ * Register an alternative classifier backend.
+ *
+ * A classifier is an object with `classify(prompt, context)` returning
+ * `{ tier, confidence }` (or a Promise of it), or null to abstain. `context`
+ * carries the rule-based decision, the message list, the tier models and
+ * the tier order.
+ */
+function registerClassifier(name, classifier) {
+  if (!classifier || typeof classifier.classify !== 'function') {
+    throw new Error(`Classifier "${name}" must have a classify(prompt, context) method`);
+  }
+  classifiers.set(name, classifier);
+}
+
+function unregisterClassifier(name) {
+  classifiers.delete(name);
+}
+
+/**
+ * Refine a rule-based decision with a registered classifier.
+ *
+ * `options.classifier` names the backend. In 'hybrid' mode (the default) it
+ * is only consulted when the rule-based confidence falls inside
+ * `options.ambiguousBand`; in 'replace' mode it is always consulted. If the
+ * classifier abstains, errors or answers with an unknown tier, the rule-based
+ * decision stands (with `classifierError` set on failure).
+ */
+async function applyClassifier(decision, prompt, options = {}) {
+  const {
+    classifier: name,
+    mode = 'hybrid',
+    ambiguousBand = DEFAULT_AMBIGUOUS_BAND,
+    messages,
+  } = options;
+  if (!name) return decision;
+  const { order, tierModels } = resolveTiers(options);
+
+  const classifier = classifiers.get(name);
+  if (!classifier) {
+    throw new Error(`Unknown classifier "${name}"`);
+  }
+
+  if (mode === 'hybrid') {
+    const [low, high] = ambiguousBand;
+    if (decision.confidence < low || decision.confidence > high) return decision;
+  }
+
+  let result;
+  try {
+    result = await classifier.classify(prompt, { decision, messages, tierModels, tierOrder: order });
+  } catch (err) {
+    decision.classifierError = err.message;
+    return decision;
+  }
+  if (!result || !tierModels[result.tier]) return decision;
+
+  return {
+    ...decision,
+    tier: result.tier,
+    model: tierModels[result.tier],
+    confidence: result.confidence ?? decision.confidence,
+    method: name,
+    ruleTier: decision.tier,
+  };
+}
+
+/**
+ * route() followed by applyClassifier()
+ */
+async function routeAsync(prompt, options = {}) {
+  return applyClassifier(route(prompt, options), prompt, options);
+}
+
+/**
+ * A request the router refuses to route; `status`, `type` and `code` become
+ * the proxy's HTTP status and OpenAI-style error body
+ */
+class RoutingError extends Error {
+  constructor(message, { status = 400, type = 'invalid_request_error', code = 'routing_error', details, headers } = {}) {
+    super(message);
+    this.name = 'RoutingError';
+    this.status = status;
+    this.type = type;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Whether a model's context window fits `input` + `output` tokens and its
+ * output limit covers `output`. Models missing from MODEL_LIMITS always fit.
+ */
+function fitsContext(model, { input = 0, output = 0 } = {}) {
+  const limits = MODEL_LIMITS[model];
+  if (!limits) return true;
+  return input + output <= limits.context && output <= limits.maxOutput;
+}
+
+// Keys of `requires` that are limits rather than capability flags
+const LIMIT_KEYS = ['context', 'maxTier', 'allowedTiers'];
+
+function missingCapabilities(capabilities = {}, requires = {}) {
+  const has = cap => capabilities[cap] ?? (cap === 'toolHeavy' ? capabilities.tools : false);
+  return Object.entries(requires)
+    .filter(([cap, needed]) => !LIMIT_KEYS.includes(cap) && needed && !has(cap))
+    .map(([cap]) => cap);
+}
+
+/**
+ * Move a decision to a tier that can serve the request.
+ *
+ * `requires` holds capability flags (tools, toolHeavy, vision, audio, files), an
+ * optional `context: { input, output }` token budget, an optional
+ * `maxTier` cap and an optional `allowedTiers` list. The context window is a
+ * hard limit: a RoutingError (400) is thrown if no tier model fits it. So is
+ * the tier list (403) when none of its tiers fits. The cap gives way to the
+ * context window, and capabilities give way to all of them. Prefers the nearest qualifying tier above
+ * the routed one, then the nearest below. Each move is recorded in
+ * `decision.adjustments`.
+ */
+function constrainTier(decision, requires = {}, options = {}) {
+  const { order, tierModels, tierCapabilities: capabilities } = resolveTiers(options);
+  const rankOf = tier => tierRank(tier, order);
+  decision.adjustments = decision.adjustments || [];
+
+  const fitting = order.filter(t => fitsContext(tierModels[t], requires.context));
+  if (fitting.length === 0) {
+    const { input = 0, output = 0 } = requires.context || {};
+    throw new RoutingError(
+      `Request needs ~${input} input + ${output} output tokens, which exceeds the context window of every configured tier model`,
+      { status: 400, code: 'context_length_exceeded' },
+    );
+  }
+
+  let allowed = fitting;
+  if (requires.allowedTiers) {
+    allowed = fitting.filter(t => requires.allowedTiers.includes(t));
+    if (allowed.length === 0) {
+      throw new RoutingError(`None of the allowed tiers (${requires.allowedTiers.join(', ')}) can serve this request`, {
+        status: 403,
+        type: 'permission_error',
+        code: 'tier_not_allowed',
+      });
+    }
+  }
+  if (requires.maxTier) {
+    const capped = allowed.filter(t => rankOf(t) <= rankOf(requires.maxTier));
+    if (capped.length > 0) allowed = capped;
+  }
+
+  const capable = allowed.filter(t => missingCapabilities(capabilities[t], requires).length === 0);
+  const candidates = capable.length > 0 ? capable : allowed;
+  if (candidates.includes(decision.tier)) return decision;
+
+  const rank = rankOf(decision.tier);
+  const target = candidates.find(t => rankOf(t) > rank) ||
+    [...candidates].reverse().find(t => rankOf(t) < rank);
+
+  const reasons = missingCapabilities(capabilities[decision.tier], requires);
+  if (!fitting.includes(decision.tier)) reasons.push('context');
+  if (!allowed.includes(decision.tier) && fitting.includes(decision.tier)) {
+    reasons.push(requires.allowedTiers && !requires.allowedTiers.includes(decision.tier) ? 'allowedTiers' : 'maxTier');
+  }
+  decision.adjustments.push({ from: decision.tier, to: target, reason: reasons.join(',') });
+  decision.tier = target;
+  decision.model = tierModels[target];
+  return decision;
+}
+
 /**
  * Get cost estimate for a model (approximate)
  */
@@ -202,12 +678,28 @@ const MODEL_COSTS = {
   'anthropic/claude-opus-4': { input: 15.00, output: 75.00 },
 };
 
+/**
+ * Context window and maximum output tokens per model (approximate)
+ */
+const MODEL_LIMITS = {
+  'gemini/gemini-2.0-flash': { context: 1_048_576, maxOutput: 8_192 },
+  'deepseek/deepseek-chat': { context: 64_000, maxOutput: 8_192 },
+  'anthropic/claude-sonnet-4': { context: 200_000, maxOutput: 64_000 },
+  'deepseek/deepseek-reasoner': { context: 64_000, maxOutput: 8_192 },
+  'openai/gpt-4o-mini': { context: 128_000, maxOutput: 16_384 },
+  'openai/gpt-4o': { context: 128_000, maxOutput: 16_384 },
+  'anthropic/claude-opus-4': { context: 200_000, maxOutput: 32_000 },
+};
+
+// Model savings are measured against when no baseline is configured
+const DEFAULT_BASELINE_MODEL = 'anthropic/claude-opus-4';
+
 function estimateCost(model, inputTokens, outputTokens = 500) {
   const costs = MODEL_COSTS[model] || { input: 1.00, output: 5.00 };
   return (inputTokens / 1_000_000 * costs.input) + (outputTokens / 1_000_000 * costs.output);
 }
 
-function estimateSavings(routedModel, baselineModel = 'anthropic/claude-opus-4', inputTokens = 1000, outputTokens = 500) {
+function estimateSavings(routedModel, baselineModel = DEFAULT_BASELINE_MODEL, inputTokens = 1000, outputTokens = 500) {
   const routedCost = estimateCost(routedModel, inputTokens, outputTokens);
   const baselineCost = estimateCost(baselineModel, inputTokens, outputTokens);
   return baselineCost > 0 ? (baselineCost - routedCost) / baselineCost : 0;
@@ -215,11 +707,31 @@ function estimateSavings(routedModel, baselineModel = 'anthropic/claude-opus-4',
 
 module.exports = {
   route,
+  routeAsync,
+  resolveTiers,
+  routeConversation,
+  registerClassifier,
+  unregisterClassifier,
+  applyClassifier,
+  constrainTier,
+  fitsContext,
+  requiredCapabilities,
   scoreDimensions,
+  matchedPatterns,
+  scoreSignals,
+  tierRank,
   estimateCost,
   estimateSavings,
   DEFAULT_TIER_MODELS,
+  DEFAULT_TIER_CAPABILITIES,
+  TIER_ORDER,
   WEIGHTS,
+  DEFAULT_THRESHOLDS,
+  TOOL_HEAVY_SCORE,
   PATTERNS,
   MODEL_COSTS,
+  MODEL_LIMITS,
+  DEFAULT_BASELINE_MODEL,
+  DEFAULT_AMBIGUOUS_BAND,
+  RoutingError,
 };
@@ -0,0 +1,121 @@
+/**
+ * LiteLLM ClawRouter - Routing rules
+ *
+ * An ordered list of deterministic overrides from config.json, checked
+ * before the weighted scorer. The first rule whose matchers all match
+ * picks the tier:
+ *
+ *   { "name": "legal", "match": { "headers": { "x-team": "^legal$" } }, "tier": "COMPLEX" }
+ *
+ * Matchers: `prompt`, `system` and `messages` (regex on message text),
+ * `headers`, `fields` (dotted paths into the request body) and `metadata`
+ * (the request's `metadata` object), plus `minTokens` / `maxTokens` on the
+ * estimated input size. String patterns are case-insensitive regexes.
+ */
+
+const { DEFAULT_TIER_MODELS } = require('./router');
+
+function compilePattern(pattern, where) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    throw new Error(`Invalid regex in ${where}: ${err.message}`);
+  }
+}
+
+/**
+ * Compile patterns in a { key: value } matcher. Strings become regexes,
+ * other values are compared exactly.
+ */
+function compileMap(map, where) {
+  return Object.entries(map).map(([key, value]) => [
+    key,
+    typeof value === 'string' ? compilePattern(value, `${where}.${key}`) : value,
+  ]);
+}
+
+/**
+ * Validate rules and compile their patterns once, up front
+ */
+function compileRules(rules = [], tierModels = DEFAULT_TIER_MODELS) {
+  return rules.map((rule, index) => {
+    const name = rule.name || `rule-${index + 1}`;
+    if (!tierModels[rule.tier]) {
+      throw new Error(`Rule "${name}" routes to unknown tier "${rule.tier}"`);
+    }
+    const match = rule.match || {};
+    const where = `rule "${name}"`;
+    return {
+      name,
+      tier: rule.tier,
+      prompt: match.prompt ? compilePattern(match.prompt, `${where} prompt`) : null,
+      system: match.system ? compilePattern(match.system, `${where} system`) : null,
+      messages: match.messages ? compilePattern(match.messages, `${where} messages`) : null,
+      headers: compileMap(match.headers || {}, `${where} headers`),
+      fields: compileMap(match.fields || {}, `${where} fields`),
+      metadata: compileMap(match.metadata || {}, `${where} metadata`),
+      minTokens: match.minTokens ?? null,
+      maxTokens: match.maxTokens ?? null,
+    };
+  });
+}
+
+function valueAt(object, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function matchesValue(expected, actual) {
+  if (expected instanceof RegExp) {
+    return actual != null && typeof actual !== 'object' && expected.test(String(actual));
+  }
+  return actual === expected;
+}
+
+function matchesMap(entries, lookup) {
+  return entries.every(([key, expected]) => matchesValue(expected, lookup(key)));
+}
+
+/**
+ * Whether one compiled rule matches a request context
+ * ({ headers, payload, request } with `request` from parseRequest())
+ */
+function matchesRule(rule, context) {
+  const { headers = {}, payload = {}, request } = context;
+  const isSystem = m => m.role === 'system' || m.role === 'developer';
+
+  if (rule.prompt && !rule.prompt.test(request.prompt)) return false;
+  if (rule.system && !rule.system.test(request.messages.filter(isSystem).map(m => m.content).join('\n'))) return false;
+  if (rule.messages && !request.messages.some(m => rule.messages.test(m.content))) return false;
+  if (rule.minTokens !== null && request.inputTokens < rule.minTokens) return false;
+  if (rule.maxTokens !== null && request.inputTokens > rule.maxTokens) return false;
+
+  return matchesMap(rule.headers, key => headers[key.toLowerCase()])
+    && matchesMap(rule.fields, key => valueAt(payload, key))
+    && matchesMap(rule.metadata, key => payload.metadata?.[key]);
+}
+
+/**
+ * First matching rule, or null
+ */
+function matchRule(rules, context) {
+  return rules.find(rule => matchesRule(rule, context)) || null;
+}
+
+/**
+ * Routing decision for a matched rule, in the same shape route() returns
+ */
+function ruleDecision(rule, tierModels = DEFAULT_TIER_MODELS) {
+  return {
+    tier: rule.tier,
+    model: tierModels[rule.tier],
+    confidence: 1,
+    method: `rule:${rule.name}`,
+    scores: null,
+  };
+}
+
+module.exports = {
+  compileRules,
+  matchRule,
+  ruleDecision,
+};
@@ -0,0 +1,338 @@
+/**
+ * LiteLLM ClawRouter - Semantic cache
+ *
+ * Answers near-duplicate prompts (differing in whitespace, casing or small
+ * wording changes) from earlier responses. Only the last user turn is
+ * compared, by a similarity backend:
+ *   - minhash:    MinHash over character shingles of the normalized text (local)
+ *   - embeddings: cosine similarity of embeddings from LiteLLM's /embeddings
+ * Only requests routed to a configured tier are looked up, each tier with
+ * its own similarity threshold, and only against entries whose earlier
+ * messages and other parameters (routed model, tools, temperature, ...)
+ * match exactly, as do the numbers and negations of the compared turn.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_LOG_DIR, StateFile } = require('./log');
+
+const SEMANTIC_CACHE_FILE = 'semantic-cache.json';
+
+const DEFAULT_SEMANTIC_OPTIONS = {
+  tiers: { SIMPLE: 0.9, MEDIUM: 0.95 }, // tier → minimum similarity for a hit
+  ttlMs: 24 * 60 * 60 * 1000,
+  maxEntries: 1000,
+  maxEntryBytes: 1024 * 1024,
+  saveDelayMs: 1000,
+};
+
+/**
+ * Lowercase, NFKC, whitespace collapsed and trailing sentence punctuation
+ * dropped. Operators and digits stay: "2+2" and "2*2" are different questions.
+ */
+function normalizeText(text) {
+  return text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[\s.!?]+$/u, '')
+    .trim();
+}
+
+// Numbers and negations: a prompt that differs only in one of these can
+// still score as near-identical ("with alcohol" / "without alcohol", order
+// 48213 / 48219), so they must match exactly for a hit
+const GUARD_PATTERN = /\d+(?:[.,]\d+)*|\b(?:no|not|never|without|none|nothing|neither|nor|cannot)\b|\w+n['’]t\b/gu;
+
+/**
+ * The numbers and negation words of the normalized text, in order
+ */
+function guardTokens(text) {
+  return (normalizeText(text).match(GUARD_PATTERN) || []).map(token => token.replace('’', "'")).join(' ');
+}
+
+/**
+ * Split parsed messages into the last user turn, which is compared, and the
+ * messages before it (system prompt included), which must match exactly.
+ * Null when the conversation doesn't end with a user turn.
+ */
+function lastUserTurn(messages) {
+  const last = messages[messages.length - 1];
+  if (!last || last.role !== 'user') return null;
+  return { context: messages.slice(0, -1), text: last.content };
+}
+
+/**
+ * Character shingles (overlapping substrings) of the normalized text
+ */
+function shingles(text, size) {
+  const normalized = normalizeText(text);
+  if (normalized.length <= size) return new Set([normalized]);
+  const set = new Set();
+  for (let i = 0; i <= normalized.length - size; i++) set.add(normalized.slice(i, i + size));
+  return set;
+}
+
+function hash32(text) {
+  let h = 0x811c9dc5; // FNV-1a
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// murmur3 finalizer, used to derive the per-slot hash functions
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Local MinHash backend: similarity estimates the Jaccard overlap of the
+ * two prompts' character shingles
+ */
+function createMinHashBackend(options = {}) {
+  const { numHashes = 64, shingleSize = 4 } = options;
+  const seeds = Array.from({ length: numHashes }, (_, i) => mix32(i + 1));
+
+  return {
+    id: `minhash:${numHashes}:${shingleSize}`,
+    signature(text) {
+      const signature = new Array(numHashes).fill(0xffffffff);
+      for (const shingle of shingles(text, shingleSize)) {
+        const h = hash32(shingle);
+        for (let i = 0; i < numHashes; i++) {
+          const value = mix32(h ^ seeds[i]);
+          if (value < signature[i]) signature[i] = value;
+        }
+      }
+      return signature;
+    },
+    similarity(a, b) {
+      let equal = 0;
+      for (let i = 0; i < a.length; i++) if (a[i] === b[i]) equal++;
+      return equal / a.length;
+    },
+  };
+}
+
+/**
+ * Embeddings backend: cosine similarity of vectors from LiteLLM's
+ * /v1/embeddings endpoint
+ */
+function createEmbeddingsBackend(options = {}) {
+  const { baseUrl, apiKey, model = 'openai/text-embedding-3-small', timeoutMs = 5000 } = options;
+  if (!baseUrl) {
+    throw new Error('embeddings backend requires baseUrl');
+  }
+  const url = baseUrl.replace(/\/$/, '') + '/v1/embeddings';
+
+  return {
+    id: `embeddings:${model}`,
+    async signature(text) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+        },
+        body: JSON.stringify({ model, input: text.slice(0, 8000) }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        throw new Error(`embeddings HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      const embedding = data.data?.[0]?.embedding;
+      if (!Array.isArray(embedding)) {
+        throw new Error('embeddings response has no vector');
+      }
+      return embedding;
+    },
+    similarity(a, b) {
+      let dot = 0;
+      let normA = 0;
+      let normB = 0;
+      for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+      }
+      return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    },
+  };
+}
+
+class SemanticCache {
+  constructor(options = {}) {
+    const {
+      statePath = path.join(DEFAULT_LOG_DIR, SEMANTIC_CACHE_FILE),
+      backend = createMinHashBackend(options),
+      ...cacheOptions
+    } = options;
+    this.options = { ...DEFAULT_SEMANTIC_OPTIONS, ...cacheOptions };
+    this.backend = backend;
+    // `statePath: null` keeps the cache in memory only
+    this.statePath = statePath;
+    this.entries = this.load();
+    this.hits = 0;
+    this.misses = 0;
+    this.state = new StateFile(statePath, () => JSON.stringify({ backend: this.backend.id, entries: [...this.entries] }), {
+      delayMs: this.options.saveDelayMs,
+      label: 'Semantic cache',
+    });
+  }
+
+  load() {
+    if (!this.statePath) return new Map();
+    try {
+      const { backend, entries = [] } = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+      // Signatures from another backend aren't comparable
+      if (backend !== this.backend.id) return new Map();
+      const now = Date.now();
+      return new Map(entries.filter(([, entry]) => entry.expiresAt > now));
+    } catch {
+      return new Map();
+    }
+  }
+
+  /**
+   * Similarity threshold for a tier, or null if the tier isn't cached
+   */
+  thresholdFor(tier) {
+    return this.options.tiers[tier] ?? null;
+  }
+
+  /**
+   * Most similar live entry in `scope` at or above the tier's threshold,
+   * among those with the same numbers and negations as `text`.
+   * Resolves { entry, similarity, signature }; `entry` is null on a miss,
+   * and `signature` can be passed to add() to store the response.
+   */
+  async lookup(scope, tier, text, now = Date.now()) {
+    const threshold = this.thresholdFor(tier);
+    const signature = await this.backend.signature(text);
+    const guard = guardTokens(text);
+    let best = null;
+    let bestSimilarity = -1;
+    for (const [id, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.delete(id);
+        continue;
+      }
+      if (entry.scope !== scope || entry.tier !== tier || entry.guard !== guard) continue;
+      const similarity = this.backend.similarity(signature, entry.signature);
+      if (similarity > bestSimilarity) {
+        best = entry;
+        bestSimilarity = similarity;
+      }
+    }
+
+    if (!best || threshold === null || bestSimilarity < threshold) {
+      this.misses++;
+      return { entry: null, similarity: best ? bestSimilarity : null, signature };
+    }
+    best.hits++;
+    this.hits++;
+    return { entry: best, similarity: bestSimilarity, signature };
+  }
+
+  /**
+   * Store a response ({ status, contentType, body, model }) for a prompt.
+   * Returns the entry id, or null when the response is too large.
+   */
+  add(scope, tier, text, signature, response, now = Date.now()) {
+    const bytes = Buffer.byteLength(response.body);
+    if (bytes > this.options.maxEntryBytes) return null;
+    const id = crypto.randomBytes(6).toString('hex');
+    this.entries.set(id, {
+      ...response,
+      id,
+      scope,
+      tier,
+      preview: text.slice(0, 100),
+      guard: guardTokens(text),
+      signature,
+      bytes,
+      hits: 0,
+      createdAt: now,
+      expiresAt: now + this.options.ttlMs,
+    });
+    // Oldest entries go first past the limit
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.options.maxEntries) break;
+      this.entries.delete(oldest);
+    }
+    this.saveSoon();
+    return id;
+  }
+
+  delete(id) {
+    const deleted = this.entries.delete(id);
+    if (deleted) this.saveSoon();
+    return deleted;
+  }
+
+  /**
+   * Entries without their signatures and bodies, newest first
+   */
+  list() {
+    return [...this.entries.values()].reverse().map(entry => ({
+      id: entry.id,
+      tier: entry.tier,
+      model: entry.model,
+      preview: entry.preview,
+      hits: entry.hits,
+      bytes: entry.bytes,
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt,
+    }));
+  }
+
+  /**
+   * Remove entries matching { id, tier } (all entries when empty);
+   * returns how many were removed
+   */
+  purge(filter = {}) {
+    let removed = 0;
+    for (const [id, entry] of this.entries) {
+      if (filter.id && id !== filter.id) continue;
+      if (filter.tier && entry.tier !== filter.tier) continue;
+      this.entries.delete(id);
+      removed++;
+    }
+    if (removed) this.saveSoon();
+    return removed;
+  }
+
+  saveSoon() {
+    this.state.saveSoon();
+  }
+
+  /**
+   * Write any batched changes now; resolves once they are on disk
+   */
+  flush() {
+    return this.state.flush();
+  }
+
+  snapshot() {
+    return { backend: this.backend.id, entries: this.entries.size, hits: this.hits, misses: this.misses };
+  }
+}
+
+module.exports = {
+  SemanticCache,
+  createMinHashBackend,
+  createEmbeddingsBackend,
+  normalizeText,
+  guardTokens,
+  lastUserTurn,
+  DEFAULT_SEMANTIC_OPTIONS,
+};
@@ -0,0 +1,136 @@
+/**
+ * LiteLLM ClawRouter - Session affinity
+ *
+ * Keeps a conversation on the tier it reached for a while instead of
+ * bouncing between models turn by turn (which breaks prompt caching), and
+ * Responses API follow-ups on the model that stored the previous response.
+ */
+
+const crypto = require('crypto');
+const { tierRank, TIER_ORDER } = require('./router');
+
+// Headers a client can use to name its session explicitly
+const SESSION_HEADERS = ['x-clawrouter-session', 'x-session-id'];
+
+const DEFAULT_STICKINESS = {
+  turns: 10,          // no downgrade within this many turns...
+  minutes: 30,        // ...or this many minutes of the tier being chosen
+  maxSessions: 10000, // oldest sessions are evicted beyond this
+  tierOrder: TIER_ORDER, // configured tiers, cheapest first
+};
+
+/**
+ * Derive a session key from a header, the `user` field, or a hash of the
+ * leading messages (system prompt + first turn stay fixed across a session)
+ */
+function deriveSessionKey(headers = {}, payload = {}, messages = []) {
+  for (const header of SESSION_HEADERS) {
+    if (headers[header]) return `header:${headers[header]}`;
+  }
+  if (typeof payload.user === 'string' && payload.user) {
+    return `user:${payload.user}`;
+  }
+
+  const leading = [];
+  for (const message of messages) {
+    leading.push(`${message.role}:${message.content}`);
+    if (message.role !== 'system' && message.role !== 'developer') break;
+  }
+  if (leading.length === 0) return null;
+
+  const hash = crypto.createHash('sha256').update(leading.join('\n')).digest('hex');
+  return `hash:${hash.slice(0, 16)}`;
+}
+
+/**
+ * In-memory session store enforcing a "no downgrade" policy
+ */
+class SessionStore {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_STICKINESS, ...options };
+    this.sessions = new Map();
+  }
+
+  /**
+   * Record a routed tier for a session and return the tier to actually use
+   */
+  resolve(key, tier, now = Date.now()) {
+    const { turns, minutes, tierOrder } = this.options;
+    const session = this.sessions.get(key);
+    let resolved = tier;
+
+    if (!session || tierRank(tier, tierOrder) >= tierRank(session.tier, tierOrder)) {
+      this.touch(key, { tier, turns: 0, pinnedAt: now });
+    } else {
+      const withinTurns = session.turns < turns;
+      const withinMinutes = now - session.pinnedAt < minutes * 60 * 1000;
+      if (withinTurns && withinMinutes) {
+        resolved = session.tier;
+        this.touch(key, { ...session, turns: session.turns + 1 });
+      } else {
+        this.touch(key, { tier, turns: 0, pinnedAt: now });
+      }
+    }
+
+    return resolved;
+  }
+
+  touch(key, session) {
+    // Re-insert so Map order tracks recency for eviction
+    this.sessions.delete(key);
+    this.sessions.set(key, session);
+    while (this.sessions.size > this.options.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+
+  get(key) {
+    return this.sessions.get(key) || null;
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+}
+
+/**
+ * Response id in a Responses API body or SSE event (`response.created`,
+ * `response.completed`, ...), or null
+ */
+function responseIdOf(data) {
+  if (data?.object === 'response' && typeof data.id === 'string') return data.id;
+  return typeof data?.response?.id === 'string' ? data.response.id : null;
+}
+
+/**
+ * Where each Responses API response was produced ({ tier, model,
+ * sessionKey }), so a `previous_response_id` follow-up continues on the
+ * model that stored it and in the same session
+ */
+class ResponseChains {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 10000;
+    this.responses = new Map();
+  }
+
+  record(id, entry) {
+    this.responses.delete(id);
+    this.responses.set(id, entry);
+    while (this.responses.size > this.maxEntries) {
+      this.responses.delete(this.responses.keys().next().value);
+    }
+  }
+
+  get(id) {
+    return this.responses.get(id) || null;
+  }
+}
+
+module.exports = {
+  deriveSessionKey,
+  responseIdOf,
+  ResponseChains,
+  SessionStore,
+  DEFAULT_STICKINESS,
+  SESSION_HEADERS,
+};
@@ -0,0 +1,211 @@
+/**
+ * LiteLLM ClawRouter - SSE streaming
+ *
+ * Relays `text/event-stream` responses event by event instead of piping
+ * raw bytes, so the proxy sees every chunk: time to first token, duration,
+ * chunk count and usage are recorded per response, and an upstream that
+ * dies mid-stream ends the client's stream with an SSE error event rather
+ * than a truncated one.
+ */
+
+const { StringDecoder } = require('string_decoder');
+const { usageFromPayload } = require('./usage');
+
+function isEventStream(res) {
+  return (res.headers['content-type'] || '').includes('text/event-stream');
+}
+
+/**
+ * Split one event block into its `event` name and joined `data` lines
+ */
+function parseEvent(block) {
+  let event = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+  }
+  return { event, data: data.length ? data.join('\n') : null };
+}
+
+/**
+ * Incremental SSE parser. Calls onEvent({ raw, event, data }) for each
+ * complete (blank-line terminated) event; `raw` is the event's text
+ * including the terminator. end() flushes a final unterminated event,
+ * end({ discard: true }) drops it.
+ */
+function createSseParser(onEvent) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  return {
+    write(chunk) {
+      buffer = (buffer + decoder.write(chunk)).replace(/\r\n/g, '\n');
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        if (block) onEvent({ raw: block + '\n\n', ...parseEvent(block) });
+      }
+    },
+    end({ discard = false } = {}) {
+      const block = (buffer + decoder.end()).replace(/\r\n/g, '\n').replace(/\n+$/, '');
+      buffer = '';
+      if (block && !discard) onEvent({ raw: block + '\n\n', ...parseEvent(block) });
+    },
+  };
+}
+
+/**
+ * Whether a parsed chunk carries generated output (as opposed to role
+ * announcements, lifecycle events or usage-only chunks)
+ */
+function hasOutput(data) {
+  if (typeof data?.type === 'string') return data.type.endsWith('.delta');
+  return (data?.choices || []).some(choice => choice.delta && Object.entries(choice.delta)
+    .some(([key, value]) => key !== 'role' && value != null && value !== ''));
+}
+
+/**
+ * Error message from an error event or chunk, or null
+ */
+function streamError(event, data) {
+  if (event === 'error' || data?.type === 'error' || data?.error) {
+    return data?.error?.message || data?.message || 'upstream stream error';
+  }
+  if (data?.type === 'response.failed') {
+    return data.response?.error?.message || 'response failed';
+  }
+  return null;
+}
+
+/**
+ * SSE error event sent when the upstream stream breaks off. Shaped so both
+ * chat clients (which look for `error` in a chunk) and responses clients
+ * (which look for an `error` event) surface it.
+ */
+function interruptedEvent(reason) {
+  const error = {
+    message: `Upstream stream interrupted: ${reason}`,
+    type: 'upstream_error',
+    code: 'stream_interrupted',
+  };
+  return `event: error\ndata: ${JSON.stringify({ type: 'error', error })}\n\n`;
+}
+
+/**
+ * Relay an SSE response to the client event by event. Returns
+ * { metrics, completed }: `completed` resolves with normalized usage (or
+ * null) once the stream ends or the client disconnects, by which time
+ * `metrics` holds { ttftMs, durationMs, chunks, error, clientClosed }.
+ * Times are measured from `startedAt` (when the proxy received the request);
+ * `onPayload` is called with each event's parsed data.
+ */
+function relayStream(proxyRes, clientRes, options = {}) {
+  const { startedAt = Date.now(), onPayload } = options;
+  const metrics = { ttftMs: null, durationMs: null, chunks: 0, error: null, clientClosed: false };
+  let usage = null;
+
+  const send = (text) => {
+    if (clientRes.destroyed || clientRes.writableEnded) return;
+    // Backpressure: hold the upstream until the client catches up
+    if (!clientRes.write(text)) {
+      proxyRes.pause();
+      clientRes.once('drain', () => proxyRes.resume());
+    }
+  };
+
+  const parser = createSseParser(({ raw, event, data }) => {
+    if (data !== null && data !== '[DONE]') {
+      metrics.chunks++;
+      let parsed = null;
+      try {
+        parsed = JSON.parse(data);
+      } catch {}
+      if (metrics.ttftMs === null && hasOutput(parsed)) metrics.ttftMs = Date.now() - startedAt;
+      if (parsed && onPayload) onPayload(parsed);
+      usage = usageFromPayload(parsed) || usage;
+      metrics.error = streamError(event, parsed) || metrics.error;
+    }
+    send(raw);
+  });
+
+  const completed = new Promise((resolve) => {
+    let settled = false;
+    const finish = (interruption) => {
+      if (settled) return;
+      settled = true;
+      // A partial event would reach the client as a broken chunk; drop it
+      parser.end({ discard: !!interruption });
+      if (interruption) {
+        metrics.error = interruption;
+        send(interruptedEvent(interruption));
+      }
+      metrics.durationMs = Date.now() - startedAt;
+      if (!clientRes.writableEnded) clientRes.end();
+      resolve(usage);
+    };
+
+    proxyRes.on('data', chunk => parser.write(chunk));
+    proxyRes.on('end', () => finish(null));
+    proxyRes.on('error', err => finish(err.message));
+    proxyRes.on('close', () => finish(proxyRes.complete ? null : 'connection closed before the stream finished'));
+
+    // A client gone mid-stream never drains; stop reading the upstream.
+    // Not an upstream error, so `metrics.error` stays as it was.
+    clientRes.on('close', () => {
+      if (settled || clientRes.writableFinished) return;
+      metrics.clientClosed = true;
+      finish(null);
+      proxyRes.destroy();
+    });
+  });
+
+  return { metrics, completed };
+}
+
+/**
+ * Running per-model streaming totals: streams, chunks, errors and
+ * average time to first token / duration
+ */
+class StreamStats {
+  constructor() {
+    this.models = new Map();
+  }
+
+  record(model, metrics) {
+    const stats = this.models.get(model) || {
+      streams: 0, chunks: 0, errors: 0, ttftTotal: 0, ttftCount: 0, durationTotal: 0,
+    };
+    stats.streams++;
+    stats.chunks += metrics.chunks;
+    if (metrics.error) stats.errors++;
+    if (metrics.ttftMs !== null) {
+      stats.ttftTotal += metrics.ttftMs;
+      stats.ttftCount++;
+    }
+    stats.durationTotal += metrics.durationMs || 0;
+    this.models.set(model, stats);
+  }
+
+  snapshot() {
+    const snapshot = {};
+    for (const [model, stats] of this.models) {
+      snapshot[model] = {
+        streams: stats.streams,
+        chunks: stats.chunks,
+        errors: stats.errors,
+        avgTtftMs: stats.ttftCount ? stats.ttftTotal / stats.ttftCount : null,
+        avgDurationMs: stats.durationTotal / stats.streams,
+      };
+    }
+    return snapshot;
+  }
+}
+
+module.exports = {
+  isEventStream,
+  createSseParser,
+  relayStream,
+  StreamStats,
+};
@@ -0,0 +1,152 @@
+/**
+ * LiteLLM ClawRouter - Weight training
+ *
+ * Fits WEIGHTS and the SIMPLE/MEDIUM/COMPLEX thresholds to prompts
+ * labelled with the tier they should have gone to, using ordinal
+ * logistic regression over the dimension scores. Plain JS, no deps.
+ */
+
+const { scoreDimensions, WEIGHTS, DEFAULT_THRESHOLDS } = require('./router');
+const { loadCorpus } = require('./eval');
+
+// Tiers ordered by weighted score; REASONING is picked by reasoning
+// markers rather than thresholds, so it is evaluated but not fitted
+const ORDINAL_TIERS = ['SIMPLE', 'MEDIUM', 'COMPLEX'];
+
+// Same steepness as the confidence sigmoid in selectTier(), so fitted
+// weights stay on the scale of the defaults
+const LOGIT_SCALE = 10;
+
+const DEFAULT_TRAIN_OPTIONS = {
+  iterations: 3000,
+  learningRate: 0.05,
+  l2: 0.01,         // pulls weights towards the defaults
+  holdout: 0.2,     // share of examples held out for evaluation
+  seed: 1,
+};
+
+/**
+ * Read labelled prompts from JSONL. Each line needs `prompt` and a label:
+ * `expectedTier` (an annotated routing log entry) or `tier`.
+ */
+function loadDataset(filePath) {
+  return loadCorpus(filePath).filter(example => example.tier);
+}
+
+/**
+ * Small seeded PRNG so splits are reproducible
+ */
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffle and split into { train, test }
+ */
+function splitDataset(examples, options = {}) {
+  const { holdout = DEFAULT_TRAIN_OPTIONS.holdout, seed = DEFAULT_TRAIN_OPTIONS.seed } = options;
+  const random = mulberry32(seed);
+  const shuffled = [...examples];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  const testSize = Math.round(shuffled.length * holdout);
+  return { train: shuffled.slice(testSize), test: shuffled.slice(0, testSize) };
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+/**
+ * Fit weights and thresholds by gradient descent on the ordinal logistic
+ * loss: P(tier > SIMPLE) = σ(k·(w·x − simple)), P(tier > MEDIUM) =
+ * σ(k·(w·x − medium)). Starts from the current defaults.
+ */
+function fitWeights(examples, options = {}) {
+  const { iterations, learningRate, l2 } = { ...DEFAULT_TRAIN_OPTIONS, ...options };
+  const dims = Object.keys(WEIGHTS);
+  const data = examples
+    .filter(example => ORDINAL_TIERS.includes(example.tier))
+    .map(example => {
+      const scores = scoreDimensions(example.prompt, example.signals);
+      return { x: dims.map(dim => scores[dim] || 0), y: ORDINAL_TIERS.indexOf(example.tier) };
+    });
+  if (data.length === 0) {
+    throw new Error('No SIMPLE, MEDIUM or COMPLEX examples to train on');
+  }
+
+  const initial = dims.map(dim => WEIGHTS[dim]);
+  const w = [...initial];
+  let t1 = DEFAULT_THRESHOLDS.simple;
+  let t2 = DEFAULT_THRESHOLDS.medium;
+  let loss = 0;
+  const k = LOGIT_SCALE;
+  const eps = 1e-12;
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const gw = new Array(dims.length).fill(0);
+    let g1 = 0;
+    let g2 = 0;
+    loss = 0;
+
+    for (const { x, y } of data) {
+      let z = 0;
+      for (let d = 0; d < dims.length; d++) z += w[d] * x[d];
+      const p1 = sigmoid(k * (z - t1)); // P(tier > SIMPLE)
+      const p2 = sigmoid(k * (z - t2)); // P(tier > MEDIUM)
+
+      // dLoss/dz and dLoss/dt for the example's class
+      let dz;
+      if (y === 0) {
+        loss -= Math.log(1 - p1 + eps);
+        dz = k * p1;
+        g1 -= k * p1;
+      } else if (y === 2) {
+        loss -= Math.log(p2 + eps);
+        dz = -k * (1 - p2);
+        g2 += k * (1 - p2);
+      } else {
+        const p = Math.max(p1 - p2, eps);
+        loss -= Math.log(p);
+        const d1 = k * p1 * (1 - p1);
+        const d2 = k * p2 * (1 - p2);
+        dz = -(d1 - d2) / p;
+        g1 += d1 / p;
+        g2 -= d2 / p;
+      }
+      for (let d = 0; d < dims.length; d++) gw[d] += dz * x[d];
+    }
+
+    const n = data.length;
+    for (let d = 0; d < dims.length; d++) {
+      w[d] -= learningRate * (gw[d] / n + l2 * (w[d] - initial[d]));
+    }
+    t1 -= learningRate * (g1 / n);
+    t2 -= learningRate * (g2 / n);
+    // Keep the thresholds ordered
+    if (t2 < t1 + 0.01) t2 = t1 + 0.01;
+    loss /= n;
+  }
+
+  const round = v => Math.round(v * 10000) / 10000;
+  return {
+    weights: Object.fromEntries(dims.map((dim, d) => [dim, round(w[d])])),
+    thresholds: { simple: round(t1), medium: round(t2) },
+    loss,
+    examples: data.length,
+  };
+}
+
+module.exports = {
+  loadDataset,
+  splitDataset,
+  fitWeights,
+  DEFAULT_TRAIN_OPTIONS,
+};
@@ -0,0 +1,151 @@
+/**
+ * LiteLLM ClawRouter - Token usage capture and cost accounting
+ *
+ * Reads the `usage` block from JSON upstream responses as they are piped
+ * to the client (stream.js does the same for SSE), and accumulates
+ * actual cost against a baseline model per session and per day.
+ */
+
+const { estimateCost, DEFAULT_BASELINE_MODEL } = require('./router');
+
+// Non-streaming bodies larger than this are not buffered for usage
+const MAX_JSON_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Normalize Chat Completions ({ prompt_tokens, completion_tokens }) and
+ * Responses API ({ input_tokens, output_tokens }) usage objects
+ */
+function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  const inputTokens = usage.prompt_tokens ?? usage.input_tokens;
+  const outputTokens = usage.completion_tokens ?? usage.output_tokens;
+  if (inputTokens == null && outputTokens == null) return null;
+  return {
+    inputTokens: inputTokens || 0,
+    outputTokens: outputTokens || 0,
+  };
+}
+
+/**
+ * Pull usage out of one parsed response body or SSE event
+ */
+function usageFromPayload(data) {
+  // Chat completions (body or final chunk) | responses (body or response.completed event)
+  return normalizeUsage(data?.usage) || normalizeUsage(data?.response?.usage);
+}
+
+/**
+ * Watch a JSON upstream response alongside whatever it is piped to.
+ * Resolves with normalized usage (or null) once the response ends, after
+ * passing the parsed body to `onPayload`. SSE responses are read by
+ * relayStream() in stream.js instead.
+ */
+function captureUsage(proxyRes, onPayload) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    let size = 0;
+
+    proxyRes.on('data', (chunk) => {
+      if (size <= MAX_JSON_BODY_BYTES) {
+        size += chunk.length;
+        chunks.push(chunk);
+      }
+    });
+
+    proxyRes.on('end', () => {
+      let usage = null;
+      if (size <= MAX_JSON_BODY_BYTES) {
+        try {
+          const data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+          if (onPayload) onPayload(data);
+          usage = usageFromPayload(data);
+        } catch {}
+      }
+      resolve(usage);
+    });
+
+    // Aborted responses settle without usage
+    proxyRes.on('error', () => resolve(null));
+    proxyRes.on('close', () => resolve(null));
+  });
+}
+
+/**
+ * Actual cost of a response vs. what the baseline model would have cost
+ */
+function costOf(model, usage, baselineModel = DEFAULT_BASELINE_MODEL) {
+  const cost = estimateCost(model, usage.inputTokens, usage.outputTokens);
+  const baselineCost = estimateCost(baselineModel, usage.inputTokens, usage.outputTokens);
+  return {
+    cost,
+    baselineCost,
+    savings: baselineCost > 0 ? (baselineCost - cost) / baselineCost : 0,
+  };
+}
+
+function emptyTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, baselineCost: 0 };
+}
+
+function addTo(totals, usage, accounting) {
+  totals.requests++;
+  totals.inputTokens += usage.inputTokens;
+  totals.outputTokens += usage.outputTokens;
+  totals.cost += accounting.cost;
+  totals.baselineCost += accounting.baselineCost;
+}
+
+/**
+ * In-memory running totals of actual spend, overall, per UTC day and per session
+ */
+class UsageTracker {
+  constructor(options = {}) {
+    this.baselineModel = options.baselineModel || DEFAULT_BASELINE_MODEL;
+    this.maxSessions = options.maxSessions || 10000;
+    this.totals = emptyTotals();
+    this.days = new Map();
+    this.sessions = new Map();
+  }
+
+  /**
+   * Record one response's usage; returns its { cost, baselineCost, savings }
+   */
+  record(sessionKey, model, usage, now = Date.now()) {
+    const accounting = costOf(model, usage, this.baselineModel);
+    addTo(this.totals, usage, accounting);
+
+    const day = new Date(now).toISOString().slice(0, 10);
+    if (!this.days.has(day)) this.days.set(day, emptyTotals());
+    addTo(this.days.get(day), usage, accounting);
+
+    if (sessionKey) {
+      const session = this.sessions.get(sessionKey) || emptyTotals();
+      addTo(session, usage, accounting);
+      // Re-insert so Map order tracks recency for eviction
+      this.sessions.delete(sessionKey);
+      this.sessions.set(sessionKey, session);
+      while (this.sessions.size > this.maxSessions) {
+        this.sessions.delete(this.sessions.keys().next().value);
+      }
+    }
+
+    return accounting;
+  }
+
+  snapshot() {
+    return {
+      baselineModel: this.baselineModel,
+      totals: { ...this.totals },
+      days: Object.fromEntries(this.days),
+      sessions: Object.fromEntries(this.sessions),
+    };
+  }
+}
+
+module.exports = {
+  normalizeUsage,
+  usageFromPayload,
+  captureUsage,
+  costOf,
+  UsageTracker,
+};
@@ -1,20 +1,66 @@
 // LiteLLM ClawRouter Tests
-const { route, scoreDimensions, estimateSavings, DEFAULT_TIER_MODELS } = require('./src/router');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  route,
+  routeAsync,
+  resolveTiers,
+  routeConversation,
+  registerClassifier,
+  unregisterClassifier,
+  applyClassifier,
+  constrainTier,
+  fitsContext,
+  requiredCapabilities,
+  scoreDimensions,
+  matchedPatterns,
+  estimateSavings,
+  DEFAULT_TIER_MODELS,
+  DEFAULT_THRESHOLDS,
+  RoutingError,
+} = require('./src/router');
+const { detectApi, parseAutoModel, parseRequest, extractSignals, contentToText, estimateTokens } = require('./src/payload');
+const { deriveSessionKey, SessionStore } = require('./src/session');
+const { normalizeUsage, costOf, UsageTracker } = require('./src/usage');
+const { RoutingLog, StateFile, summarize } = require('./src/log');
+const { BudgetManager, consumerOf } = require('./src/budget');
+const { createKnnClassifier, createLlmJudge, setupClassifier } = require('./src/classifiers');
+const { loadDataset, splitDataset, fitWeights } = require('./src/train');
+const { confusionMatrix, precisionRecall, evaluate, runEval, diffRuns, loadRun, saveRun } = require('./src/eval');
+const { compileRules, matchRule, ruleDecision } = require('./src/rules');
+const { requestedProfile, profileOptions } = require('./src/profiles');
+const { createSseParser, StreamStats } = require('./src/stream');
+const { ModelStats, compileCandidates, rankCandidates } = require('./src/health');
+const { ResponseCache, cacheKey, isCacheable } = require('./src/cache');
+const { SemanticCache, createMinHashBackend, normalizeText, guardTokens, lastUserTurn } = require('./src/semantic');
+const { KeyStore, presentedKey } = require('./src/keys');
+const { RateLimiter, ConcurrencyLimiter } = require('./src/limits');
+const { Counter, Histogram } = require('./src/metrics');
+const { startProxy, fallbackChain } = require('./src/proxy');
 
 console.log('Running LiteLLM ClawRouter tests...\n');
 
 let passed = 0;
 let failed = 0;
+const tests = [];
 
 function test(name, fn) {
-  try {
-    fn();
-    console.log(`✓ ${name}`);
-    passed++;
-  } catch (e) {
-    console.log(`✗ ${name}`);
-    console.log(`  Error: ${e.message}`);
-    failed++;
+  tests.push({ name, fn });
+}
+
+async function runTests() {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (e) {
+      console.log(`✗ ${name}`);
+      console.log(`  Error: ${e.message}`);
+      failed++;
+    }
   }
 }
 
@@ -30,6 +76,19 @@ function assertTrue(condition, msg = '') {
   }
 }
 
+// Poll until `check` passes; for work the proxy finishes after responding
+async function eventually(check, timeoutMs = 1000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(r => setTimeout(r, 5));
+  }
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'clawrouter-test-'));
+}
+
 // Test 1: Simple queries route to SIMPLE tier
 test('Simple queries → SIMPLE tier', () => {
   const decision = route('What is 2+2?');
@@ -86,6 +145,18 @@ test('Dimension scoring detects simple', () => {
   assertTrue(scores.simple > 0, 'Should detect simple question');
 });
 
+test('Explain mode lists matched patterns, substrings and offsets', () => {
+  const prompt = 'Show users? SELECT name FROM users';
+  const { scores, matches } = scoreDimensions(prompt, undefined, { explain: true });
+  assertEqual(scores.code, scoreDimensions(prompt).code, 'Scores are unchanged');
+  const sql = matches.code.find(m => m.pattern.includes('SELECT'));
+  assertEqual(sql.matches.map(m => m.text).join(','), 'SELECT,FROM');
+  assertEqual(sql.matches[0].index, prompt.indexOf('SELECT'));
+  assertEqual(matches.questionComplexity[0].matches[0].index, 10);
+  assertEqual(matches.creative, undefined, 'Dimensions without matches are left out');
+  assertEqual(JSON.stringify(matchedPatterns(prompt)), JSON.stringify(matches));
+});
+
 // Test 5: Cost savings estimation
 test('Savings vs Opus baseline', () => {
   const savings = estimateSavings('gemini/gemini-2.0-flash');
@@ -143,13 +214,2153 @@ test('Route returns complete decision object', () => {
   assertTrue(decision.scores !== undefined, 'Should have scores');
 });
 
-// Summary
-console.log('\n' + '='.repeat(50));
-console.log(`Tests: ${passed} passed, ${failed} failed`);
-console.log('='.repeat(50));
+// Test 10: Request parsing for both OpenAI API shapes
+test('Detects chat and responses endpoints', () => {
+  assertEqual(detectApi('/v1/chat/completions'), 'chat');
+  assertEqual(detectApi('/chat/completions?x=1'), 'chat');
+  assertEqual(detectApi('/v1/responses'), 'responses');
+  assertEqual(detectApi('/v1/models'), null);
+  assertEqual(detectApi('/v1/responses/resp_123/cancel'), null);
+});
+
+test('Parses chat messages with content parts', () => {
+  const request = parseRequest({
+    messages: [
+      { role: 'system', content: 'You are helpful' },
+      { role: 'user', content: [{ type: 'text', text: 'What is 2+2?' }] },
+    ],
+  }, 'chat');
+  assertEqual(request.messages.length, 2);
+  assertEqual(request.prompt, 'What is 2+2?');
+});
+
+test('Parses responses string input with instructions', () => {
+  const request = parseRequest({
+    instructions: 'Answer briefly',
+    input: 'Translate "hello" to Spanish',
+    previous_response_id: 'resp_abc',
+  }, 'responses');
+  assertEqual(request.messages[0].role, 'system');
+  assertEqual(request.prompt, 'Translate "hello" to Spanish');
+  assertEqual(request.previousResponseId, 'resp_abc');
+});
+
+test('Parses responses item array input', () => {
+  const request = parseRequest({
+    input: [
+      { role: 'user', content: 'Look up the weather' },
+      { type: 'function_call', name: 'get_weather', arguments: '{"city":"Paris"}', call_id: 'c1' },
+      { type: 'function_call_output', call_id: 'c1', output: 'sunny' },
+      { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Prove that sqrt(2) is irrational step by step' }] },
+    ],
+  }, 'responses');
+  assertEqual(request.messages.length, 4);
+  assertEqual(request.messages[2].role, 'tool');
+  assertEqual(request.prompt, 'Prove that sqrt(2) is irrational step by step');
+});
+
+// Test 11: Conversation-aware routing
+test('Single-turn conversation matches route()', () => {
+  const decision = routeConversation([{ role: 'user', content: 'What is 2+2?' }]);
+  assertEqual(decision.tier, route('What is 2+2?').tier);
+  assertEqual(decision.conversation.turns, 1);
+});
+
+test('Follow-up after a design discussion is not SIMPLE', () => {
+  const decision = routeConversation([
+    { role: 'user', content: 'Design a distributed rate limiter with Redis: implement the token bucket in async Node.js and expose it over a REST API' },
+    { role: 'assistant', content: 'Here is a design: first, a Redis-backed bucket... then an async middleware...' },
+    { role: 'user', content: 'ok do it' },
+  ]);
+  assertTrue(decision.tier !== 'SIMPLE', `Got ${decision.tier}`);
+  assertEqual(route('ok do it').tier, 'SIMPLE', 'Follow-up alone is SIMPLE');
+});
+
+test('Thread that escalated does not drop back down', () => {
+  const decision = routeConversation([
+    { role: 'user', content: 'Build a complete REST API with authentication, rate limiting, and database integration using Node.js' },
+    { role: 'assistant', content: 'Done.' },
+    { role: 'user', content: 'thanks' },
+  ]);
+  assertEqual(decision.tier, route('Build a complete REST API with authentication, rate limiting, and database integration using Node.js').tier);
+  assertEqual(decision.conversation.escalatedFrom, 'SIMPLE');
+});
+
+test('Escalation window limits how far back a tier sticks', () => {
+  const messages = [{ role: 'user', content: 'Prove that sqrt(2) is irrational step by step' }];
+  for (let i = 0; i < 3; i++) {
+    messages.push({ role: 'assistant', content: 'Sure.' }, { role: 'user', content: 'Hello' });
+  }
+  const decision = routeConversation(messages, { escalationWindow: 1, recencyDecay: 0.1 });
+  assertEqual(decision.tier, 'SIMPLE');
+});
+
+test('previousTier option sets an escalation floor', () => {
+  const decision = routeConversation([{ role: 'user', content: 'Hello' }], { previousTier: 'COMPLEX' });
+  assertEqual(decision.tier, 'COMPLEX');
+  assertEqual(decision.model, DEFAULT_TIER_MODELS.COMPLEX);
+});
+
+test('System prompt contributes to conversation scores', () => {
+  const withSystem = routeConversation([
+    { role: 'system', content: 'Prove every claim step by step' },
+    { role: 'user', content: 'Is 7 prime' },
+  ], { systemWeight: 1 });
+  assertTrue(withSystem.scores.reasoning > 0, 'Should pick up system prompt reasoning');
+});
+
+test('Token count covers the whole context', () => {
+  const decision = routeConversation([
+    { role: 'user', content: 'word '.repeat(400) },
+    { role: 'assistant', content: 'word '.repeat(400) },
+    { role: 'user', content: 'Hi' },
+  ]);
+  assertTrue(decision.scores.tokenCount > 0.7, `Token score ${decision.scores.tokenCount}`);
+  assertTrue(decision.conversation.contextTokens > 800, 'Should count all messages');
+});
+
+// Test 12: Session affinity
+test('Session key prefers header, then user field, then message hash', () => {
+  const messages = [{ role: 'system', content: 'Agent' }, { role: 'user', content: 'Hi' }];
+  assertEqual(deriveSessionKey({ 'x-clawrouter-session': 'abc' }, { user: 'u1' }, messages), 'header:abc');
+  assertEqual(deriveSessionKey({}, { user: 'u1' }, messages), 'user:u1');
+  const hashed = deriveSessionKey({}, {}, messages);
+  assertTrue(hashed.startsWith('hash:'), `Got ${hashed}`);
+  const later = deriveSessionKey({}, {}, [...messages, { role: 'assistant', content: 'Hello' }, { role: 'user', content: 'More' }]);
+  assertEqual(later, hashed, 'Later turns keep the same key');
+  assertEqual(deriveSessionKey({}, {}, []), null);
+});
+
+test('Session store blocks downgrades within the turn window', () => {
+  const store = new SessionStore({ turns: 2, minutes: 60 });
+  assertEqual(store.resolve('s', 'COMPLEX', 0), 'COMPLEX');
+  assertEqual(store.resolve('s', 'SIMPLE', 1000), 'COMPLEX');
+  assertEqual(store.resolve('s', 'MEDIUM', 2000), 'COMPLEX');
+  assertEqual(store.resolve('s', 'SIMPLE', 3000), 'SIMPLE', 'Window of 2 turns used up');
+});
+
+test('Session store allows downgrades after the time window', () => {
+  const store = new SessionStore({ turns: 100, minutes: 1 });
+  store.resolve('s', 'COMPLEX', 0);
+  assertEqual(store.resolve('s', 'SIMPLE', 30 * 1000), 'COMPLEX');
+  assertEqual(store.resolve('s', 'SIMPLE', 61 * 1000), 'SIMPLE');
+});
+
+test('Session store always allows upgrades', () => {
+  const store = new SessionStore();
+  store.resolve('s', 'SIMPLE');
+  assertEqual(store.resolve('s', 'COMPLEX'), 'COMPLEX');
+  assertEqual(store.get('s').tier, 'COMPLEX');
+});
+
+test('Session store evicts the least recently used session', () => {
+  const store = new SessionStore({ maxSessions: 2 });
+  store.resolve('a', 'SIMPLE');
+  store.resolve('b', 'SIMPLE');
+  store.resolve('a', 'SIMPLE');
+  store.resolve('c', 'SIMPLE');
+  assertEqual(store.size, 2);
+  assertEqual(store.get('b'), null);
+});
+
+// Test 13: Tool-call aware routing
+const manyTools = Array.from({ length: 40 }, (_, i) => ({
+  type: 'function',
+  function: { name: `tool_${i}`, parameters: { type: 'object' } },
+}));
+
+test('Extracts tool signals from chat payloads', () => {
+  const signals = extractSignals({
+    tools: manyTools,
+    tool_choice: 'required',
+    response_format: { type: 'json_schema', json_schema: { name: 'x', schema: {} } },
+    messages: [
+      { role: 'assistant', content: null, tool_calls: [{ id: 'c1' }, { id: 'c2' }] },
+      { role: 'tool', content: 'ok', tool_call_id: 'c1' },
+    ],
+  }, 'chat');
+  assertEqual(signals.toolCount, 40);
+  assertEqual(signals.forcedToolChoice, true);
+  assertEqual(signals.toolMessages, 3);
+  assertEqual(signals.jsonSchema, true);
+});
+
+test('Extracts tool signals from responses payloads', () => {
+  const signals = extractSignals({
+    tools: [{ type: 'function', name: 'search' }],
+    tool_choice: 'none',
+    text: { format: { type: 'json_object' } },
+    input: [{ type: 'function_call_output', call_id: 'c1', output: '{}' }],
+  }, 'responses');
+  assertEqual(signals.toolCount, 0, 'tool_choice none disables tools');
+  assertEqual(signals.toolMessages, 1);
+  assertEqual(signals.structuredOutput, true);
+  assertEqual(signals.jsonSchema, false);
+});
+
+test('Tool signals become scoring dimensions', () => {
+  const plain = scoreDimensions('What time is it?');
+  const withTools = scoreDimensions('What time is it?', { toolCount: 40, forcedToolChoice: true });
+  assertEqual(plain.toolUse, 0);
+  assertEqual(withTools.toolUse, 1);
+  const decision = route('What time is it?', { signals: { toolCount: 40, forcedToolChoice: true } });
+  assertTrue(decision.weightedScore > route('What time is it?').weightedScore, 'Tools raise the weighted score');
+});
+
+test('Tool requests are moved off tiers without tool support', () => {
+  const light = constrainTier(route('What is 2+2?'), requiredCapabilities({ toolCount: 1 }));
+  assertEqual(light.tier, 'SIMPLE', 'A few tools offered alongside a plain question stay put');
+  assertEqual(requiredCapabilities({ toolCount: 1, forcedToolChoice: true }).toolHeavy, true);
+
+  const decision = constrainTier(route('What time is it?'), requiredCapabilities({ toolCount: 12 }));
+  assertEqual(decision.tier, 'MEDIUM');
+  assertEqual(decision.model, DEFAULT_TIER_MODELS.MEDIUM);
+  assertEqual(decision.adjustments[0].from, 'SIMPLE');
+  assertEqual(decision.adjustments[0].reason, 'toolHeavy');
+
+  const reasoning = constrainTier(route('Prove that sqrt(2) is irrational step by step'), { tools: true });
+  assertEqual(reasoning.tier, 'COMPLEX', 'Next capable tier above REASONING');
+});
+
+test('Any tools move a request off tiers without function calling', () => {
+  const decision = route('Prove that sqrt(2) is irrational step by step');
+  assertEqual(decision.tier, 'REASONING');
+  const requires = requiredCapabilities({ toolCount: 3 });
+  assertEqual(requires.toolHeavy, false, 'Three tools are not tool-heavy');
+
+  constrainTier(decision, requires);
+  assertEqual(decision.tier, 'COMPLEX');
+  assertEqual(decision.adjustments[0].reason, 'tools');
+});
+
+test('Tier capabilities are configurable', () => {
+  const decision = constrainTier(route('What time is it?'), { tools: true, toolHeavy: true }, {
+    tierCapabilities: { SIMPLE: { tools: true } },
+  });
+  assertEqual(decision.tier, 'SIMPLE');
+  assertEqual(decision.adjustments.length, 0);
+});
+
+// Test 14: Multimodal detection
+const imagePart = { type: 'image_url', image_url: { url: 'data:image/png;base64,' + 'iVBORw0KGgo{}();'.repeat(200) } };
+
+test('Non-text parts are not scored as text', () => {
+  const text = contentToText([{ type: 'text', text: 'What is in this picture?' }, imagePart]);
+  assertEqual(text, 'What is in this picture?');
+  const request = parseRequest({ messages: [{ role: 'user', content: [{ type: 'text', text: 'Describe it' }, imagePart] }] });
+  assertEqual(scoreDimensions(request.prompt).code, 0, 'base64 should not trip code patterns');
+});
+
+test('Counts image, audio and file parts in both API shapes', () => {
+  const chat = extractSignals({
+    messages: [{ role: 'user', content: [imagePart, { type: 'input_audio', input_audio: { data: 'AAA', format: 'wav' } }] }],
+  }, 'chat');
+  assertEqual(chat.images, 1);
+  assertEqual(chat.audio, 1);
+  const responses = extractSignals({
+    input: [{ role: 'user', content: [{ type: 'input_image', image_url: 'https://x/y.png' }, { type: 'input_file', file_id: 'f1' }] }],
+  }, 'responses');
+  assertEqual(responses.images, 1);
+  assertEqual(responses.files, 1);
+});
+
+test('Image requests move to a vision-capable tier', () => {
+  const simple = constrainTier(route('What is this?'), requiredCapabilities({ images: 1 }));
+  assertEqual(simple.tier, 'SIMPLE', 'SIMPLE model handles images');
+  const medium = constrainTier({ tier: 'MEDIUM', model: DEFAULT_TIER_MODELS.MEDIUM }, requiredCapabilities({ images: 1 }));
+  assertEqual(medium.tier, 'COMPLEX');
+  assertEqual(medium.adjustments[0].reason, 'vision');
+});
+
+test('Audio requests fall back to a lower tier when none above can hear', () => {
+  const decision = constrainTier({ tier: 'MEDIUM', model: DEFAULT_TIER_MODELS.MEDIUM }, requiredCapabilities({ audio: 1 }));
+  assertEqual(decision.tier, 'SIMPLE');
+});
+
+// Test 15: Context-window guard
+test('Estimates request tokens including tools and max_tokens', () => {
+  assertEqual(estimateTokens('abcdefgh'), 2);
+  const request = parseRequest({
+    max_tokens: 2048,
+    tools: manyTools,
+    messages: [{ role: 'user', content: 'x'.repeat(4000) }],
+  });
+  assertTrue(request.inputTokens > 1000, `Got ${request.inputTokens}`);
+  assertEqual(request.maxOutputTokens, 2048);
+  assertEqual(parseRequest({ input: 'hi', max_output_tokens: 99 }, 'responses').maxOutputTokens, 99);
+});
+
+test('Context fit checks window and output limit', () => {
+  assertTrue(fitsContext('deepseek/deepseek-chat', { input: 50000, output: 4000 }));
+  assertTrue(!fitsContext('deepseek/deepseek-chat', { input: 63000, output: 4000 }), 'Window exceeded');
+  assertTrue(!fitsContext('deepseek/deepseek-chat', { input: 100, output: 20000 }), 'Output limit exceeded');
+  assertTrue(fitsContext('unknown/model', { input: 10_000_000 }), 'Unknown models always fit');
+});
+
+test('Oversized prompts upgrade to a tier whose model fits', () => {
+  const decision = constrainTier({ tier: 'MEDIUM', model: DEFAULT_TIER_MODELS.MEDIUM }, { context: { input: 100000, output: 1000 } });
+  assertEqual(decision.tier, 'COMPLEX');
+  assertEqual(decision.adjustments[0].reason, 'context');
+});
+
+test('Context limits win over capabilities', () => {
+  // Only SIMPLE fits 500k tokens even though it can't handle many tools
+  const decision = constrainTier({ tier: 'MEDIUM', model: DEFAULT_TIER_MODELS.MEDIUM }, { toolHeavy: true, context: { input: 500000 } });
+  assertEqual(decision.tier, 'SIMPLE');
+});
+
+test('No fitting model throws a 400 RoutingError', () => {
+  let error = null;
+  try {
+    constrainTier(route('hi'), { context: { input: 5_000_000 } });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error instanceof RoutingError, 'Should throw RoutingError');
+  assertEqual(error.status, 400);
+  assertEqual(error.code, 'context_length_exceeded');
+});
+
+// Test 16: Routing log
+test('Normalizes chat and responses usage', () => {
+  const chat = normalizeUsage({ prompt_tokens: 10, completion_tokens: 5 });
+  assertEqual(chat.inputTokens, 10);
+  assertEqual(chat.outputTokens, 5);
+  assertEqual(normalizeUsage({ input_tokens: 7, output_tokens: 3 }).outputTokens, 3);
+  assertEqual(normalizeUsage({}), null);
+});
+
+test('Routing log appends, rotates and reads entries in order', async () => {
+  const dir = tempDir();
+  try {
+    const routingLog = new RoutingLog({ dir, maxBytes: 200, maxFiles: 2 });
+    for (let i = 0; i < 10; i++) {
+      routingLog.append({ n: i, tier: 'SIMPLE', model: 'm', padding: 'x'.repeat(50) });
+    }
+    await routingLog.flush();
+    assertTrue(fs.existsSync(routingLog.rotatedPath(1)), 'Should rotate');
+    assertTrue(!fs.existsSync(routingLog.rotatedPath(3)), 'Should keep at most maxFiles');
+    const entries = routingLog.read();
+    assertEqual(entries[entries.length - 1].n, 9);
+    assertTrue(entries.every((e, i) => i === 0 || e.n > entries[i - 1].n), 'Oldest first');
+    assertEqual(routingLog.read({ since: new Date(Date.now() + 60000) }).length, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('State files batch saves and write them atomically', async () => {
+  const dir = tempDir();
+  try {
+    const filePath = path.join(dir, 'nested', 'state.json');
+    let state = { n: 0 };
+    const file = new StateFile(filePath, () => JSON.stringify(state), { delayMs: 60000 });
+    file.saveSoon();
+    state = { n: 1 };
+    file.saveSoon();
+    assertTrue(!fs.existsSync(filePath), 'Saves wait for the delay');
+    await file.flush();
+    assertEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).n, 1, 'Batched changes are written once, as of the write');
+    assertTrue(!fs.existsSync(`${filePath}.tmp`));
+
+    const memory = new StateFile(null, () => { throw new Error('never serialized'); });
+    memory.saveSoon();
+    await memory.save();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Summarizes tiers, errors, latency and spend', () => {
+  const summary = summarize([
+    { tier: 'SIMPLE', model: 'gemini/gemini-2.0-flash', status: 200, latencyMs: 100, usage: { inputTokens: 1_000_000, outputTokens: 0 } },
+    { tier: 'SIMPLE', model: 'gemini/gemini-2.0-flash', status: 500, latencyMs: 300, usage: null },
+    { tier: 'COMPLEX', model: 'anthropic/claude-sonnet-4', status: 200, latencyMs: 200, usage: { inputTokens: 0, outputTokens: 1_000_000 } },
+  ]);
+  assertEqual(summary.total, 3);
+  assertEqual(summary.tiers.SIMPLE, 2);
+  assertEqual(summary.errors, 1);
+  assertEqual(summary.avgLatencyMs, 200);
+  assertEqual(summary.unmetered, 1);
+  assertTrue(Math.abs(summary.spend - 15.10) < 1e-9, `Spend ${summary.spend}`);
+});
+
+// Test 17: Cost accounting
+test('Actual cost vs baseline from real usage', () => {
+  const usage = { inputTokens: 1_000_000, outputTokens: 1_000_000 };
+  const accounting = costOf('deepseek/deepseek-chat', usage, 'openai/gpt-4o');
+  assertTrue(Math.abs(accounting.cost - 0.42) < 1e-9, `Cost ${accounting.cost}`);
+  assertTrue(Math.abs(accounting.baselineCost - 12.5) < 1e-9, `Baseline ${accounting.baselineCost}`);
+  assertTrue(Math.abs(accounting.savings - (12.5 - 0.42) / 12.5) < 1e-9, 'Savings');
+});
+
+test('Usage tracker accumulates per session and per day', () => {
+  const tracker = new UsageTracker({ baselineModel: 'anthropic/claude-opus-4' });
+  const day1 = Date.parse('2026-01-01T12:00:00Z');
+  const day2 = Date.parse('2026-01-02T12:00:00Z');
+  tracker.record('s1', 'gemini/gemini-2.0-flash', { inputTokens: 100, outputTokens: 10 }, day1);
+  tracker.record('s1', 'gemini/gemini-2.0-flash', { inputTokens: 100, outputTokens: 10 }, day2);
+  tracker.record('s2', 'anthropic/claude-sonnet-4', { inputTokens: 50, outputTokens: 5 }, day2);
+  const snapshot = tracker.snapshot();
+  assertEqual(snapshot.totals.requests, 3);
+  assertEqual(snapshot.days['2026-01-01'].requests, 1);
+  assertEqual(snapshot.days['2026-01-02'].requests, 2);
+  assertEqual(snapshot.sessions.s1.inputTokens, 200);
+  assertTrue(snapshot.totals.baselineCost > snapshot.totals.cost, 'Cheaper than baseline');
+});
+
+// Test 18: Budget caps
+test('Budget state moves from ok to downgrade to reject', async () => {
+  const dir = tempDir();
+  try {
+    const budgets = new BudgetManager({ statePath: path.join(dir, 'state.json'), global: { daily: 10 } });
+    assertEqual(budgets.check(null).state, 'ok');
+    budgets.record(null, 8.5);
+    const downgrade = budgets.check(null);
+    assertEqual(downgrade.state, 'downgrade');
+    assertEqual(downgrade.maxTier, 'MEDIUM');
+    budgets.record(null, 2);
+    const reject = budgets.check(null);
+    assertEqual(reject.state, 'reject');
+    assertEqual(reject.limit.scope, 'global');
+    assertEqual(reject.limit.period, 'daily');
+    await budgets.flush();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Consumer budgets apply on top of the global budget', async () => {
+  const dir = tempDir();
+  try {
+    const budgets = new BudgetManager({
+      statePath: path.join(dir, 'state.json'),
+      global: { monthly: 1000 },
+      consumers: { 'team-a': { daily: 1 } },
+    });
+    budgets.record('team-a', 1.5);
+    assertEqual(budgets.check('team-a').state, 'reject');
+    assertEqual(budgets.check('team-b').state, 'ok');
+    await budgets.flush();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Budget spend survives restarts and drops old periods', async () => {
+  const dir = tempDir();
+  try {
+    const statePath = path.join(dir, 'state.json');
+    const day1 = Date.parse('2026-01-01T12:00:00Z');
+    const day2 = Date.parse('2026-01-02T12:00:00Z');
+    const budgets = new BudgetManager({ statePath, global: { daily: 10, monthly: 100 } });
+    budgets.record(null, 9, day1);
+    await budgets.flush();
+
+    const restarted = new BudgetManager({ statePath, global: { daily: 10, monthly: 100 } });
+    assertEqual(restarted.check(null, day1).state, 'downgrade');
+    assertEqual(restarted.check(null, day2).state, 'ok', 'New day resets the daily budget');
+    restarted.record(null, 1, day2);
+    await restarted.flush();
+    assertEqual(restarted.spend.global['day:2026-01-01'], undefined);
+    assertEqual(restarted.snapshot(day2).global.monthly, 10);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Consumer comes from header, then user field', () => {
+  assertEqual(consumerOf({ 'x-clawrouter-consumer': 'team-a' }, { user: 'u1' }), 'team-a');
+  assertEqual(consumerOf({}, { user: 'u1' }), 'u1');
+  assertEqual(consumerOf({}, {}), null);
+});
+
+test('maxTier caps the routed tier', () => {
+  const decision = constrainTier({ tier: 'COMPLEX', model: DEFAULT_TIER_MODELS.COMPLEX }, { maxTier: 'MEDIUM' });
+  assertEqual(decision.tier, 'MEDIUM');
+  assertEqual(decision.adjustments[0].reason, 'maxTier');
+  const simple = constrainTier({ tier: 'SIMPLE', model: DEFAULT_TIER_MODELS.SIMPLE }, { maxTier: 'MEDIUM' });
+  assertEqual(simple.tier, 'SIMPLE');
+});
+
+// Test 19: Classifier backends
+const fixedClassifier = (tier, confidence = 0.9) => ({ classify: () => ({ tier, confidence }) });
+
+test('Classifiers need a classify method', () => {
+  let threw = false;
+  try {
+    registerClassifier('broken', {});
+  } catch {
+    threw = true;
+  }
+  assertTrue(threw, 'Registering without classify() should throw');
+});
+
+test('Hybrid mode only consults the classifier in the ambiguous band', async () => {
+  registerClassifier('fixed', fixedClassifier('COMPLEX'));
+  try {
+    const ambiguous = { tier: 'MEDIUM', model: DEFAULT_TIER_MODELS.MEDIUM, confidence: 0.2, method: 'weighted' };
+    const refined = await applyClassifier(ambiguous, 'prompt', { classifier: 'fixed' });
+    assertEqual(refined.tier, 'COMPLEX');
+    assertEqual(refined.model, DEFAULT_TIER_MODELS.COMPLEX);
+    assertEqual(refined.method, 'fixed');
+    assertEqual(refined.ruleTier, 'MEDIUM');
+
+    const confident = { tier: 'SIMPLE', model: DEFAULT_TIER_MODELS.SIMPLE, confidence: 0.01, method: 'weighted' };
+    const kept = await applyClassifier(confident, 'prompt', { classifier: 'fixed' });
+    assertEqual(kept.tier, 'SIMPLE');
+    assertEqual(kept.method, 'weighted');
+  } finally {
+    unregisterClassifier('fixed');
+  }
+});
+
+test('Replace mode always consults the classifier', async () => {
+  registerClassifier('fixed', fixedClassifier('REASONING'));
+  try {
+    const decision = await routeAsync('What is 2+2?', { classifier: 'fixed', mode: 'replace' });
+    assertEqual(decision.tier, 'REASONING');
+    assertEqual(decision.ruleTier, 'SIMPLE');
+  } finally {
+    unregisterClassifier('fixed');
+  }
+});
+
+test('Failing or abstaining classifiers keep the rule-based decision', async () => {
+  registerClassifier('failing', { classify: async () => { throw new Error('judge down'); } });
+  registerClassifier('abstaining', { classify: () => null });
+  registerClassifier('unknown-tier', fixedClassifier('HUGE'));
+  try {
+    const failed = await routeAsync('What is 2+2?', { classifier: 'failing', mode: 'replace' });
+    assertEqual(failed.tier, 'SIMPLE');
+    assertEqual(failed.classifierError, 'judge down');
+    const abstained = await routeAsync('What is 2+2?', { classifier: 'abstaining', mode: 'replace' });
+    assertEqual(abstained.method, 'weighted');
+    const unknown = await routeAsync('What is 2+2?', { classifier: 'unknown-tier', mode: 'replace' });
+    assertEqual(unknown.tier, 'SIMPLE');
+  } finally {
+    unregisterClassifier('failing');
+    unregisterClassifier('abstaining');
+    unregisterClassifier('unknown-tier');
+  }
+});
+
+test('Nearest-neighbour classifier votes by similarity', () => {
+  const knn = createKnnClassifier([
+    { prompt: 'design a distributed database schema with sharding', tier: 'COMPLEX' },
+    { prompt: 'architect a microservice system with sharding and replication', tier: 'COMPLEX' },
+    { prompt: 'what is the capital of france', tier: 'SIMPLE' },
+    { prompt: 'what is the weather today', tier: 'SIMPLE' },
+  ], { k: 3 });
+  const complex = knn.classify('How should I plan sharding for my database?');
+  assertEqual(complex.tier, 'COMPLEX');
+  assertTrue(complex.confidence > 0.5 && complex.confidence <= 1, `Confidence ${complex.confidence}`);
+  assertEqual(knn.classify('what is the capital of spain').tier, 'SIMPLE');
+  assertEqual(knn.classify('zzz qqq'), null, 'Nothing similar → abstain');
+});
+
+test('LLM judge asks the upstream for a tier', async () => {
+  const upstream = await startUpstream((entry, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'Tier: complex' } }] }));
+  });
+  try {
+    const judge = createLlmJudge({ baseUrl: upstream.url, apiKey: 'sk-test', model: 'judge-model' });
+    const result = await judge.classify('Design a payments platform', { tierModels: DEFAULT_TIER_MODELS });
+    assertEqual(result.tier, 'COMPLEX');
+    assertEqual(upstream.received[0].url, '/v1/chat/completions');
+    assertEqual(upstream.received[0].body.model, 'judge-model');
+    assertEqual(upstream.received[0].headers.authorization, 'Bearer sk-test');
+  } finally {
+    await upstream.close();
+  }
+});
+
+// Test 20: Trainable weights
+const trainingTopics = ['databases', 'kubernetes', 'photosynthesis', 'compilers', 'dns', 'vaccines'];
+const trainingSet = trainingTopics.flatMap(topic => [
+  { prompt: `What is ${topic}?`, tier: 'SIMPLE' },
+  { prompt: `Explain how ${topic} works in detail and compare the tradeoffs`, tier: 'MEDIUM' },
+  { prompt: `Design a scalable distributed system around ${topic}. First outline the architecture, then the API.`, tier: 'COMPLEX' },
+]);
+
+test('Route accepts weight and threshold overrides', () => {
+  const prompt = 'Explain how databases work in detail and compare the tradeoffs';
+  assertEqual(route(prompt).tier, 'SIMPLE');
+  assertEqual(route(prompt, { thresholds: { simple: 0.01 } }).tier, 'MEDIUM');
+  assertEqual(route(prompt, { weights: { tokenCount: 2 } }).tier, 'COMPLEX');
+  assertEqual(DEFAULT_THRESHOLDS.simple, 0.20);
+});
+
+test('Fitted weights beat the defaults on labelled prompts', () => {
+  const before = evaluate(trainingSet);
+  const fitted = fitWeights(trainingSet);
+  const after = evaluate(trainingSet, fitted);
+  assertTrue(after.accuracy > before.accuracy, `${after.accuracy} should beat ${before.accuracy}`);
+  assertEqual(after.accuracy, 1);
+  assertTrue(fitted.thresholds.simple < fitted.thresholds.medium, 'Thresholds stay ordered');
+});
+
+test('Dataset split is reproducible and labels load from log annotations', () => {
+  const a = splitDataset(trainingSet, { holdout: 0.25, seed: 7 });
+  const b = splitDataset(trainingSet, { holdout: 0.25, seed: 7 });
+  assertEqual(a.test.length, 5);
+  assertEqual(a.train.length, 13);
+  assertEqual(a.test.map(e => e.prompt).join('|'), b.test.map(e => e.prompt).join('|'));
+
+  const dir = tempDir();
+  try {
+    const file = path.join(dir, 'dataset.jsonl');
+    fs.writeFileSync(file, [
+      JSON.stringify({ prompt: 'hi', tier: 'SIMPLE' }),
+      JSON.stringify({ prompt: 'prove it', tier: 'SIMPLE', expectedTier: 'REASONING' }),
+      JSON.stringify({ promptHash: 'abc', tier: 'MEDIUM' }),
+      '',
+    ].join('\n'));
+    const examples = loadDataset(file);
+    assertEqual(examples.length, 2);
+    assertEqual(examples[1].tier, 'REASONING');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Confusion matrix counts expected vs routed tiers', () => {
+  const result = confusionMatrix([
+    { expected: 'SIMPLE', actual: 'SIMPLE' },
+    { expected: 'MEDIUM', actual: 'SIMPLE' },
+    { expected: 'COMPLEX', actual: 'COMPLEX' },
+    { expected: 'COMPLEX', actual: 'COMPLEX' },
+  ]);
+  assertEqual(result.matrix.MEDIUM.SIMPLE, 1);
+  assertEqual(result.matrix.COMPLEX.COMPLEX, 2);
+  assertEqual(result.accuracy, 0.75);
+});
+
+// Test 21: Offline evaluation
+test('Precision and recall come from the confusion matrix', () => {
+  const { matrix } = confusionMatrix([
+    { expected: 'SIMPLE', actual: 'SIMPLE' },
+    { expected: 'MEDIUM', actual: 'SIMPLE' },
+    { expected: 'MEDIUM', actual: 'MEDIUM' },
+  ]);
+  const metrics = precisionRecall(matrix);
+  assertEqual(metrics.SIMPLE.precision, 0.5);
+  assertEqual(metrics.SIMPLE.recall, 1);
+  assertEqual(metrics.MEDIUM.precision, 1);
+  assertEqual(metrics.MEDIUM.recall, 0.5);
+  assertEqual(metrics.MEDIUM.support, 2);
+  assertEqual(metrics.COMPLEX.precision, null);
+});
+
+test('Eval routes labelled and unlabelled prompts and projects cost', () => {
+  const run = runEval([
+    { prompt: 'What is 2+2?', tier: 'SIMPLE' },
+    { prompt: 'Prove that sqrt(2) is irrational step by step', tier: null },
+    { prompt: 'hello', tier: 'MEDIUM', usage: { inputTokens: 1_000_000, outputTokens: 0 } },
+  ]);
+  assertEqual(run.results.length, 3);
+  assertEqual(run.labelled, 2);
+  assertEqual(run.confusion.accuracy, 0.5);
+  assertEqual(run.tiers.SIMPLE, 2);
+  assertEqual(run.tiers.REASONING, 1);
+  assertTrue(run.cost > 0.1 && run.cost < run.baselineCost, 'Recorded usage drives the cost');
+  assertTrue(run.savings > 0.9, `Savings ${run.savings}`);
+});
+
+test('Eval lists prompts whose tier changed since a saved run', () => {
+  const dir = tempDir();
+  try {
+    const file = path.join(dir, 'run.jsonl');
+    const prompt = 'Explain how databases work in detail and compare the tradeoffs';
+    const corpus = [{ prompt }, { prompt: 'Prove that sqrt(2) is irrational step by step' }];
+    saveRun(file, runEval(corpus).results);
+    const current = runEval(corpus, { thresholds: { simple: 0.01 } }).results;
+    const changes = diffRuns(loadRun(file), current);
+    assertEqual(changes.length, 1);
+    assertEqual(changes[0].prompt, prompt);
+    assertEqual(changes[0].from, 'SIMPLE');
+    assertEqual(changes[0].to, 'MEDIUM');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Test 22: Routing rules
+const chatRequest = (messages, extra = {}) => {
+  const payload = { model: 'auto', messages, ...extra };
+  return { payload, request: parseRequest(payload, 'chat') };
+};
+
+test('Rules match on headers, system prompt and message text', () => {
+  const rules = compileRules([
+    { name: 'legal', match: { headers: { 'X-Team': '^legal$' } }, tier: 'COMPLEX' },
+    { name: 'sql', match: { system: 'SQL assistant' }, tier: 'MEDIUM' },
+    { name: 'poems', match: { messages: '\\bpoem\\b' }, tier: 'SIMPLE' },
+  ]);
+  const plain = chatRequest([{ role: 'user', content: 'hi' }]);
+  assertEqual(matchRule(rules, { headers: { 'x-team': 'legal' }, ...plain }).name, 'legal');
+  assertEqual(matchRule(rules, { headers: { 'x-team': 'legal-ops' }, ...plain }), null);
+
+  const sql = chatRequest([{ role: 'system', content: 'You are a SQL Assistant' }, { role: 'user', content: 'hi' }]);
+  assertEqual(matchRule(rules, sql).name, 'sql');
+  const poem = chatRequest([{ role: 'user', content: 'Write a poem' }, { role: 'assistant', content: '...' }, { role: 'user', content: 'again' }]);
+  assertEqual(matchRule(rules, poem).name, 'poems');
+});
+
+test('Rules match on token counts, request fields and metadata', () => {
+  const rules = compileRules([
+    { name: 'huge', match: { minTokens: 20000 }, tier: 'COMPLEX' },
+    { name: 'strict-json', match: { fields: { 'response_format.type': '^json_schema$', temperature: 0 } }, tier: 'MEDIUM' },
+    { name: 'batch', match: { metadata: { source: 'batch' } }, tier: 'SIMPLE' },
+  ]);
+  const huge = chatRequest([{ role: 'user', content: 'x'.repeat(100000) }]);
+  assertEqual(matchRule(rules, huge).name, 'huge');
+
+  const json = chatRequest([{ role: 'user', content: 'hi' }], { temperature: 0, response_format: { type: 'json_schema' } });
+  assertEqual(matchRule(rules, json).name, 'strict-json');
+  const warm = chatRequest([{ role: 'user', content: 'hi' }], { temperature: 0.7, response_format: { type: 'json_schema' } });
+  assertEqual(matchRule(rules, warm), null, 'All matchers must match');
+
+  const batch = chatRequest([{ role: 'user', content: 'hi' }], { metadata: { source: 'nightly-batch' } });
+  assertEqual(matchRule(rules, batch).name, 'batch');
+});
+
+test('First matching rule wins and becomes the decision method', () => {
+  const rules = compileRules([
+    { name: 'first', match: { prompt: 'deploy' }, tier: 'MEDIUM' },
+    { match: {}, tier: 'COMPLEX' },
+  ]);
+  const deploy = chatRequest([{ role: 'user', content: 'Deploy it' }]);
+  const rule = matchRule(rules, deploy);
+  assertEqual(rule.name, 'first');
+  const decision = ruleDecision(rule);
+  assertEqual(decision.tier, 'MEDIUM');
+  assertEqual(decision.model, DEFAULT_TIER_MODELS.MEDIUM);
+  assertEqual(decision.method, 'rule:first');
+  assertEqual(matchRule(rules, chatRequest([{ role: 'user', content: 'hi' }])).name, 'rule-2');
+});
+
+test('Invalid rules are rejected when compiled', () => {
+  const throws = (rules) => {
+    try {
+      compileRules(rules);
+      return false;
+    } catch {
+      return true;
+    }
+  };
+  assertTrue(throws([{ name: 'bad', match: {}, tier: 'HUGE' }]), 'Unknown tier');
+  assertTrue(throws([{ name: 'bad', match: { prompt: '(' }, tier: 'SIMPLE' }]), 'Invalid regex');
+});
+
+// Test 23: Custom tiers
+const customTiers = [
+  { name: 'SIMPLE' },
+  { name: 'MEDIUM' },
+  { name: 'CREATIVE', model: 'openai/gpt-4o', when: { creative: 0.5 } },
+  { name: 'COMPLEX' },
+  { name: 'LONG_CONTEXT', model: 'gemini/gemini-2.5-pro', when: { tokenCount: 0.9 }, capabilities: { tools: false } },
+  { name: 'VISION', model: 'openai/gpt-4o', when: { images: 1 } },
+];
+
+test('Tier list resolves order, models and capabilities', () => {
+  const builtIn = resolveTiers();
+  assertEqual(builtIn.order.join(','), 'SIMPLE,MEDIUM,REASONING,COMPLEX');
+  const tiers = resolveTiers({ tiers: customTiers });
+  assertEqual(tiers.order.join(','), 'SIMPLE,MEDIUM,CREATIVE,COMPLEX,LONG_CONTEXT,VISION');
+  assertEqual(tiers.tierModels.SIMPLE, DEFAULT_TIER_MODELS.SIMPLE, 'Built-in tiers default their model');
+  assertEqual(tiers.tierCapabilities.LONG_CONTEXT.tools, false);
+  assertEqual(tiers.tierCapabilities.VISION.vision, true, 'Custom tiers default to fully capable');
+  assertEqual(tiers.predicates.length, 3);
+
+  let threw = false;
+  try {
+    resolveTiers({ tiers: [{ name: 'ONLY_CUSTOM', model: 'x' }] });
+  } catch {
+    threw = true;
+  }
+  assertTrue(threw, 'A tier list needs at least one built-in tier');
+});
+
+test('Custom tier predicates pick their tier', () => {
+  const creative = route('Write a poem about a fictional character', { tiers: customTiers });
+  assertEqual(creative.tier, 'CREATIVE');
+  assertEqual(creative.model, 'openai/gpt-4o');
+  assertEqual(creative.method, 'predicate');
+
+  const long = route('word '.repeat(600), { tiers: customTiers });
+  assertEqual(long.tier, 'LONG_CONTEXT');
+  assertEqual(route('Describe this', { tiers: customTiers, signals: { images: 1 } }).tier, 'VISION');
+  assertEqual(route('What is 2+2?', { tiers: customTiers }).tier, 'SIMPLE');
+});
+
+test('Scorer picks of unconfigured built-in tiers move to the nearest configured one', () => {
+  const decision = route('Prove that sqrt(2) is irrational step by step', { tiers: customTiers });
+  assertEqual(decision.tier, 'COMPLEX', 'No REASONING tier configured');
+  assertEqual(decision.model, DEFAULT_TIER_MODELS.COMPLEX);
+});
+
+test('Constraints and stickiness follow the configured tier order', () => {
+  const decision = constrainTier(
+    { tier: 'LONG_CONTEXT', model: 'gemini/gemini-2.5-pro' },
+    { tools: true },
+    { tiers: customTiers },
+  );
+  assertEqual(decision.tier, 'VISION', 'Nearest capable tier above');
+
+  const sessions = new SessionStore({ tierOrder: resolveTiers({ tiers: customTiers }).order });
+  sessions.resolve('s', 'LONG_CONTEXT');
+  assertEqual(sessions.resolve('s', 'CREATIVE'), 'LONG_CONTEXT');
+  assertEqual(sessions.resolve('s', 'VISION'), 'VISION');
+});
+
+// Test 24: Routing profiles
+const profiles = {
+  eco: { tierModels: { ...DEFAULT_TIER_MODELS, COMPLEX: 'gemini/gemini-2.5-flash' }, thresholds: { simple: 0.5 } },
+  premium: { rules: [{ name: 'all', match: {}, tier: 'COMPLEX' }] },
+};
+
+test('Auto model names carry an optional profile', () => {
+  assertEqual(parseAutoModel('auto').profile, null);
+  assertEqual(parseAutoModel('auto:eco').profile, 'eco');
+  assertEqual(parseAutoModel('openai/gpt-4o'), null);
+  assertEqual(requestedProfile(parseAutoModel('auto:eco'), { 'x-clawrouter-profile': 'premium' }), 'eco', 'Model suffix wins');
+  assertEqual(requestedProfile(parseAutoModel('auto'), { 'x-clawrouter-profile': 'premium' }), 'premium');
+  assertEqual(requestedProfile(parseAutoModel('auto'), {}), null);
+});
+
+test('Profiles override the base routing options', () => {
+  const base = { tiers: customTiers, weights: { tokenCount: 0.2 }, rules: [] };
+  const eco = profileOptions(base, profiles, 'eco');
+  assertEqual(eco.tierModels.COMPLEX, 'gemini/gemini-2.5-flash');
+  assertEqual(eco.thresholds.simple, 0.5);
+  assertEqual(eco.weights.tokenCount, 0.2, 'Unset keys are inherited');
+  assertEqual(eco.tiers, undefined, 'A profile model map replaces the inherited tier list');
+  assertEqual(profileOptions(base, profiles, 'premium').rules.length, 1);
+  assertEqual(profileOptions(base, profiles, null).tiers, customTiers);
+
+  let error = null;
+  try {
+    profileOptions(base, profiles, 'missing');
+  } catch (err) {
+    error = err;
+  }
+  assertTrue(error instanceof RoutingError);
+  assertEqual(error.status, 400);
+  assertEqual(error.code, 'unknown_profile');
+  assertEqual(error.details.available.join(','), 'eco,premium');
+});
+
+// Test 25: SSE streaming
+test('SSE parser emits complete events across chunk boundaries', () => {
+  const events = [];
+  const parser = createSseParser(event => events.push(event));
+  parser.write(Buffer.from('data: {"a":1}\n\nevent: response.comp'));
+  parser.write(Buffer.from('leted\r\ndata: {"b":2}\r\n\r\n: keep-alive\n\ndata: [DO'));
+  assertEqual(events.length, 3);
+  assertEqual(events[0].data, '{"a":1}');
+  assertEqual(events[1].event, 'response.completed');
+  assertEqual(events[1].raw, 'event: response.completed\ndata: {"b":2}\n\n');
+  assertEqual(events[2].data, null, 'Comments have no data');
+  parser.end();
+  assertEqual(events[3].data, '[DO', 'end() flushes an unterminated event');
+
+  const discarded = [];
+  const partial = createSseParser(event => discarded.push(event));
+  partial.write('data: {"cut');
+  partial.end({ discard: true });
+  assertEqual(discarded.length, 0);
+});
+
+test('Stream stats average time to first token per model', () => {
+  const stats = new StreamStats();
+  stats.record('m', { ttftMs: 100, durationMs: 400, chunks: 5, error: null });
+  stats.record('m', { ttftMs: 300, durationMs: 600, chunks: 7, error: 'boom' });
+  stats.record('m', { ttftMs: null, durationMs: 200, chunks: 0, error: null });
+  const m = stats.snapshot().m;
+  assertEqual(m.streams, 3);
+  assertEqual(m.chunks, 12);
+  assertEqual(m.errors, 1);
+  assertEqual(m.avgTtftMs, 200);
+  assertEqual(m.avgDurationMs, 400);
+});
+
+// Test 26: Latency-aware candidate selection
+test('Model stats track p50 latency, error rate and health over a window', () => {
+  const stats = new ModelStats({ minSamples: 3, maxErrorRate: 0.5, windowMs: 1000 });
+  stats.record('m', { ok: true, latencyMs: 100 }, 0);
+  stats.record('m', { ok: true, latencyMs: 300 }, 0);
+  assertEqual(stats.stats('m', 0).p50LatencyMs, 200);
+  assertTrue(stats.stats('m', 0).healthy);
+  stats.record('m', { ok: false }, 10);
+  stats.record('m', { ok: false }, 10);
+  assertEqual(stats.stats('m', 10).errorRate, 0.5);
+  assertEqual(stats.stats('m', 10).healthy, false);
+  assertEqual(stats.stats('m', 1005).samples, 2, 'Old outcomes age out');
+  assertEqual(stats.stats('unknown').healthy, true);
+});
+
+test('Candidate strategies rank healthy models first', () => {
+  const stats = new ModelStats({ minSamples: 1 });
+  stats.record('openai/gpt-4o', { ok: true, latencyMs: 200 });
+  stats.record('deepseek/deepseek-chat', { ok: true, latencyMs: 900 });
+  stats.record('gemini/gemini-2.0-flash', { ok: false });
+  const models = ['openai/gpt-4o', 'deepseek/deepseek-chat', 'gemini/gemini-2.0-flash'];
+
+  const cheapest = rankCandidates({ models, strategy: 'cheapest-healthy', weights: {} }, stats);
+  assertEqual(cheapest.join(','), 'deepseek/deepseek-chat,openai/gpt-4o,gemini/gemini-2.0-flash');
+  const fastest = rankCandidates({ models, strategy: 'lowest-p50-latency', weights: {} }, stats);
+  assertEqual(fastest[0], 'openai/gpt-4o');
+  const weights = { 'openai/gpt-4o': 1, 'deepseek/deepseek-chat': 3 };
+  const weighted = draw => rankCandidates({ models, strategy: 'weighted-random', weights }, stats, { random: () => draw });
+  assertEqual(weighted(0.5)[0], 'deepseek/deepseek-chat');
+  assertEqual(weighted(0.1)[0], 'openai/gpt-4o');
+  assertEqual(weighted(0.1)[2], 'gemini/gemini-2.0-flash', 'Unhealthy models are never drawn');
+
+  let threw = false;
+  try {
+    compileCandidates({ MEDIUM: { models: ['x'], strategy: 'fastest' } }, DEFAULT_TIER_MODELS);
+  } catch {
+    threw = true;
+  }
+  assertTrue(threw, 'Unknown strategies are rejected');
+});
+
+// Test 27: Response cache
+test('Cache keys cover the routed payload, not incidental fields', () => {
+  const payload = { model: 'gemini/gemini-2.0-flash', temperature: 0, messages: [{ role: 'user', content: 'hi' }] };
+  const reordered = { messages: [{ content: 'hi', role: 'user' }], temperature: 0, model: 'gemini/gemini-2.0-flash', user: 'u1' };
+  assertEqual(cacheKey(payload), cacheKey(reordered));
+  assertTrue(cacheKey(payload) !== cacheKey({ ...payload, model: 'openai/gpt-4o' }));
+  assertTrue(cacheKey(payload) !== cacheKey({ ...payload, tools: [{ type: 'function' }] }));
+  assertTrue(cacheKey(payload) !== cacheKey({ ...payload, stream: true }));
+  assertTrue(cacheKey(payload) !== cacheKey({ ...payload, logprobs: true }), 'Unlisted fields are part of the key');
+  assertTrue(cacheKey(payload) !== cacheKey({ ...payload, reasoning_effort: 'high' }));
+  assertEqual(cacheKey(payload), cacheKey({ ...payload, metadata: { run: 1 }, stream_options: { include_usage: true } }));
+
+  assertTrue(isCacheable({ temperature: 0 }));
+  assertEqual(isCacheable({ temperature: 0.7 }), false);
+  assertEqual(isCacheable({}), false);
+  assertTrue(isCacheable({}, { 'x-clawrouter-cache': 'on' }));
+  assertEqual(isCacheable({ temperature: 0 }, { 'x-clawrouter-cache': 'off' }), false);
+});
+
+test('Cache expires entries, evicts least recently used and persists', async () => {
+  const dir = tempDir();
+  const statePath = path.join(dir, 'cache.json');
+  const response = body => ({ status: 200, contentType: 'application/json', body, model: 'm', tier: 'SIMPLE' });
+  try {
+    const cache = new ResponseCache({ statePath, maxEntries: 2, ttlMs: 1000 });
+    cache.set('a', response('{"a":1}'), 0);
+    cache.set('b', response('{"b":1}'), 0);
+    assertEqual(cache.get('a', 10).body, '{"a":1}');
+    cache.set('c', response('{"c":1}'), 10);
+    assertEqual(cache.get('b', 10), null, 'Least recently used entry is evicted');
+    assertEqual(cache.get('a', 1000), null, 'Expired');
+    assertEqual(cache.set('big', response('x'.repeat(2 * 1024 * 1024))), false, 'Oversized responses are skipped');
+    assertEqual(cache.snapshot().hits, 1);
+
+    cache.set('d', response('{"d":1}'));
+    await cache.flush();
+    const reloaded = new ResponseCache({ statePath });
+    assertEqual(reloaded.get('d').body, '{"d":1}');
+    assertEqual(reloaded.entries.has('c'), false, 'Expired entries are dropped on load');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Test 28: Semantic cache
+test('MinHash scores near-duplicate prompts above unrelated ones', () => {
+  const minhash = createMinHashBackend();
+  const similarity = (a, b) => minhash.similarity(minhash.signature(a), minhash.signature(b));
+  assertEqual(normalizeText('  What IS the capital\nof France?? '), 'what is the capital of france');
+  assertEqual(similarity('What is the capital of France?', 'what is the   capital of france'), 1);
+  assertTrue(similarity('What is the capital of France?', 'What is the capital of France, please?') >= 0.6);
+  assertTrue(similarity('What is the capital of France?', 'Write a haiku about autumn leaves') < 0.2);
+  assertEqual(normalizeText('What is 2+2?'), 'what is 2+2', 'Operators are kept');
+  assertTrue(similarity('What is 2+2?', 'What is 2*2?') < 0.9);
+  assertTrue(similarity('Is 10 > 5?', 'Is 10 < 5?') < 0.9);
+});
+
+test('Semantic cache compares only the last user turn', () => {
+  const system = { role: 'system', content: 'Be brief.' };
+  const turn = lastUserTurn([system, { role: 'user', content: 'Hi' }]);
+  assertEqual(turn.text, 'Hi');
+  assertEqual(turn.context.length, 1);
+  assertEqual(turn.context[0], system);
+  assertEqual(lastUserTurn([system, { role: 'user', content: 'Hi' }, { role: 'tool', content: '{}' }]), null);
+  assertEqual(lastUserTurn([]), null);
+});
+
+test('Semantic cache matches per tier threshold within a scope', async () => {
+  const dir = tempDir();
+  const statePath = path.join(dir, 'semantic.json');
+  const response = { status: 200, contentType: 'application/json', body: '{"a":1}', model: 'm' };
+  try {
+    const cache = new SemanticCache({ statePath, tiers: { SIMPLE: 0.9 } });
+    assertEqual(cache.thresholdFor('SIMPLE'), 0.9);
+    assertEqual(cache.thresholdFor('COMPLEX'), null);
+
+    const miss = await cache.lookup('s1', 'SIMPLE', 'What is the capital of France?');
+    assertEqual(miss.entry, null);
+    const id = cache.add('s1', 'SIMPLE', 'What is the capital of France?', miss.signature, response);
+    const hit = await cache.lookup('s1', 'SIMPLE', 'what is the capital of FRANCE');
+    assertEqual(hit.entry.id, id);
+    assertEqual(hit.similarity, 1);
+    assertEqual((await cache.lookup('s2', 'SIMPLE', 'What is the capital of France?')).entry, null, 'Other scopes never match');
+    assertEqual((await cache.lookup('s1', 'SIMPLE', 'Name three rivers in Spain')).entry, null, 'Below the threshold');
+    assertEqual(cache.list()[0].hits, 1);
+
+    cache.add('s1', 'MEDIUM', 'Explain closures', miss.signature, response);
+    await cache.flush();
+    assertEqual(new SemanticCache({ statePath }).entries.size, 2, 'Entries persist');
+    assertEqual(new SemanticCache({ statePath, numHashes: 32 }).entries.size, 0, 'Signatures from another backend are dropped');
+
+    assertEqual(cache.purge({ tier: 'MEDIUM' }), 1);
+    assertEqual(cache.purge({ id }), 1);
+    assertEqual(cache.list().length, 0);
+    await cache.flush();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Semantic cache never matches prompts with different numbers or negations', async () => {
+  assertEqual(guardTokens('Why doesn’t order 48213 ship, not 7.5 days?'), "doesn't 48213 not 7.5");
+  const response = { status: 200, contentType: 'application/json', body: '{"a":1}', model: 'm' };
+  // A low threshold, so only the guard can keep these apart
+  const cache = new SemanticCache({ statePath: null, tiers: { SIMPLE: 0.5 } });
+  for (const text of ['Can I take ibuprofen with alcohol?', 'What is the status of order 48213?']) {
+    const { signature } = await cache.lookup('s', 'SIMPLE', text);
+    cache.add('s', 'SIMPLE', text, signature, response);
+  }
+  assertEqual((await cache.lookup('s', 'SIMPLE', 'Can I take ibuprofen without alcohol?')).entry, null);
+  assertEqual((await cache.lookup('s', 'SIMPLE', 'What is the status of order 48219?')).entry, null);
+  assertTrue((await cache.lookup('s', 'SIMPLE', 'can i take ibuprofen with alcohol')).entry, 'Same numbers and negations still match');
+});
+
+// Test 29: Client keys
+test('Key store issues hashed keys and revokes them', () => {
+  const dir = tempDir();
+  const statePath = path.join(dir, 'keys.json');
+  try {
+    const store = new KeyStore({ statePath });
+    assertEqual(store.enabled(), false);
+    const { key, record } = store.create('team-a', { upstreamKey: 'sk-team-a', tiers: ['SIMPLE'] });
+    assertTrue(key.startsWith('crk_'));
+    assertEqual(fs.readFileSync(statePath, 'utf8').includes(key), false, 'Only the hash is stored');
+    assertEqual(store.list()[0].upstreamKey, true);
+    assertEqual(store.list()[0].hash, undefined);
+
+    const proxySide = new KeyStore({ statePath, reloadMs: 0 });
+    assertEqual(proxySide.authenticate(key).name, 'team-a');
+    assertEqual(proxySide.authenticate('crk_wrong'), null);
+    let threw = false;
+    try {
+      store.create('team-a');
+    } catch {
+      threw = true;
+    }
+    assertTrue(threw, 'Names are unique among active keys');
+
+    assertEqual(store.revoke('team-a').id, record.id);
+    assertEqual(proxySide.authenticate(key, Date.now() + 1), null, 'Revocations are picked up from the file');
+    assertTrue(proxySide.enabled(), 'Revoked keys still require a key');
+
+    assertEqual(presentedKey({ authorization: 'Bearer crk_abc' }), 'crk_abc');
+    assertEqual(presentedKey({ 'x-api-key': 'crk_abc' }), 'crk_abc');
+    assertEqual(presentedKey({}), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('allowedTiers restricts the routed tier', () => {
+  const decision = constrainTier({ tier: 'COMPLEX', model: DEFAULT_TIER_MODELS.COMPLEX }, { allowedTiers: ['SIMPLE', 'MEDIUM'] });
+  assertEqual(decision.tier, 'MEDIUM');
+  assertEqual(decision.adjustments[0].reason, 'allowedTiers');
+  let error = null;
+  try {
+    constrainTier({ tier: 'SIMPLE' }, { allowedTiers: ['PREMIUM'] });
+  } catch (err) {
+    error = err;
+  }
+  assertTrue(error instanceof RoutingError);
+  assertEqual(error.status, 403);
+  assertEqual(error.code, 'tier_not_allowed');
+});
+
+// Test 30: Rate limits and concurrency
+test('Rate limiter refills token buckets continuously', () => {
+  const limiter = new RateLimiter();
+  const limits = { requestsPerMinute: 2, tokensPerMinute: 1000 };
+  assertEqual(limiter.take('client:a', limits, 400, 0), 0);
+  assertEqual(limiter.take('client:a', limits, 400, 0), 0);
+  assertEqual(limiter.take('client:a', limits, 100, 0), 30000, 'Out of requests: one refills in 30s');
+  assertEqual(limiter.take('client:b', limits, 100, 0), 0, 'Scopes are independent');
+  assertEqual(limiter.take('client:a', limits, 1000, 30000), 18000, '200 tokens left + 500 refilled, 300 short');
+  assertEqual(limiter.take('client:a', limits, 1000, 48000), 0);
+
+  limiter.adjust('client:a', limits, 1000, 48000);
+  assertEqual(limiter.wait('client:a', limits, 1, 48000), 60060, 'Usage over the estimate is owed');
+  assertEqual(limiter.take('model:m', {}, 1e9), 0, 'No limits, no waiting');
+});
+
+test('Concurrency limiter queues past maxInFlight and times out', async () => {
+  const limiter = new ConcurrencyLimiter({ maxQueue: 1, queueTimeoutMs: 50 });
+  const first = await limiter.acquire('m', 1);
+  const queued = limiter.acquire('m', 1);
+  assertEqual(limiter.snapshot().m.queued, 1);
+
+  let full = null;
+  await limiter.acquire('m', 1).catch(err => { full = err; });
+  assertEqual(full.code, 'queue_full');
+  assertEqual(full.headers['retry-after'], '1');
+
+  first();
+  first();
+  const second = await queued;
+  assertEqual(limiter.snapshot().m.inFlight, 1, 'Release is idempotent');
+
+  let timedOut = null;
+  await limiter.acquire('m', 1).catch(err => { timedOut = err; });
+  assertEqual(timedOut.status, 429);
+  assertEqual(timedOut.code, 'queue_timeout');
+
+  const abort = new AbortController();
+  const abandoned = limiter.acquire('m', 1, abort.signal).catch(() => 'aborted');
+  abort.abort();
+  assertEqual(await abandoned, 'aborted');
+  assertEqual(limiter.snapshot().m.queued, 0);
+  second();
+  assertEqual(limiter.snapshot().m.inFlight, 0);
+});
+
+// Test 31: Prometheus metrics
+test('Metrics render in the Prometheus text format', () => {
+  const counter = new Counter('requests_total', 'Requests', ['tier', 'model']);
+  counter.inc({ tier: 'SIMPLE', model: 'a"b' });
+  counter.inc({ tier: 'SIMPLE', model: 'a"b' }, 2);
+  assertEqual(counter.render().join('\n'),
+    '# HELP requests_total Requests\n# TYPE requests_total counter\nrequests_total{tier="SIMPLE",model="a\\"b"} 3');
 
-if (failed > 0) {
-  process.exit(1);
+  const histogram = new Histogram('latency_seconds', 'Latency', [], [0.1, 1]);
+  histogram.observe({}, 0.05);
+  histogram.observe({}, 0.5);
+  histogram.observe({}, 5);
+  const lines = histogram.render();
+  assertEqual(lines[2], 'latency_seconds_bucket{le="0.1"} 1');
+  assertEqual(lines[3], 'latency_seconds_bucket{le="1"} 2', 'Buckets are cumulative');
+  assertEqual(lines[4], 'latency_seconds_bucket{le="+Inf"} 3');
+  assertEqual(lines[5], 'latency_seconds_sum 5.55');
+  assertEqual(lines[6], 'latency_seconds_count 3');
+});
+
+// Proxy helpers: a fake LiteLLM upstream and a JSON request client
+function startUpstream(handler) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const entry = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+      received.push(entry);
+      if (handler) return handler(entry, res);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ model: entry.body?.model }));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, () => resolve({
+      url: `http://localhost:${server.address().port}`,
+      received,
+      close: () => new Promise(r => server.close(r)),
+    }));
+  });
+}
+
+function request(baseUrl, method, path, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let json = null;
+        try { json = JSON.parse(data); } catch {}
+        resolve({ status: res.statusCode, headers: res.headers, body: data, json });
+      });
+    });
+    req.on('error', reject);
+    if (body !== undefined) req.write(typeof body === 'string' ? body : JSON.stringify(body));
+    req.end();
+  });
 }
 
-console.log('\n✅ All tests passed!');
+async function withProxy(options, fn, upstreamHandler) {
+  const upstream = await startUpstream(upstreamHandler);
+  const proxy = await startProxy({
+    port: 0,
+    litellmBaseUrl: upstream.url,
+    litellmApiKey: 'sk-test',
+    ...options,
+  });
+  try {
+    await fn(proxy, upstream);
+  } finally {
+    await proxy.close();
+    await upstream.close();
+  }
+}
+
+// Test 32: Proxy routing
+test('Proxy routes chat completions', async () => {
+  await withProxy({}, async (proxy, upstream) => {
+    const res = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    });
+    assertEqual(res.status, 200);
+    assertEqual(upstream.received[0].body.model, DEFAULT_TIER_MODELS.SIMPLE);
+    assertEqual(upstream.received[0].headers.authorization, 'Bearer sk-test');
+  });
+});
+
+test('Proxy routes responses API requests', async () => {
+  const routed = [];
+  await withProxy({ onRouted: d => routed.push(d) }, async (proxy, upstream) => {
+    await request(proxy.baseUrl, 'POST', '/v1/responses', {
+      model: 'litellm-clawrouter/auto',
+      instructions: 'You are a math tutor',
+      input: [{ role: 'user', content: [{ type: 'input_text', text: 'Prove that sqrt(2) is irrational step by step' }] }],
+    });
+    assertEqual(upstream.received[0].url, '/v1/responses');
+    assertEqual(upstream.received[0].body.model, DEFAULT_TIER_MODELS.REASONING);
+    assertEqual(upstream.received[0].body.instructions, 'You are a math tutor');
+    assertEqual(routed[0].api, 'responses');
+  });
+});
+
+test('Proxy continues previous_response_id chains on the same model and session', async () => {
+  const routed = [];
+  let responses = 0;
+  await withProxy({ onRouted: d => routed.push(d) }, async (proxy, upstream) => {
+    const ask = body => request(proxy.baseUrl, 'POST', '/v1/responses', { model: 'auto', ...body });
+    await ask({ input: 'Build a complete REST API with authentication, rate limiting, and database integration using Node.js' });
+    assertEqual(upstream.received[0].body.model, DEFAULT_TIER_MODELS.COMPLEX);
+
+    const followUp = await ask({ previous_response_id: 'resp_1', input: 'ok do it', stream: true });
+    assertEqual(upstream.received[1].body.model, DEFAULT_TIER_MODELS.COMPLEX, 'Pinned to the model that stored resp_1');
+    assertEqual(followUp.headers['x-clawrouter-tier'], 'COMPLEX');
+    assertEqual(routed[1].method, 'previous_response');
+    assertEqual(routed[1].sessionKey, routed[0].sessionKey, 'The chain is one session');
+
+    await ask({ previous_response_id: 'resp_2', input: 'thanks' });
+    assertEqual(upstream.received[2].body.model, DEFAULT_TIER_MODELS.COMPLEX, 'Streamed response ids are recorded too');
+    await ask({ previous_response_id: 'resp_unknown', input: 'thanks' });
+    assertEqual(upstream.received[3].body.model, DEFAULT_TIER_MODELS.SIMPLE, 'Unknown ids are routed as usual');
+  }, (entry, res) => {
+    const id = `resp_${++responses}`;
+    if (entry.body.stream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`event: response.created\ndata: ${JSON.stringify({ type: 'response.created', response: { id, object: 'response' } })}\n\n`);
+      res.end(`event: response.completed\ndata: ${JSON.stringify({ type: 'response.completed', response: { id, object: 'response' } })}\n\n`);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ id, object: 'response', model: entry.body.model }));
+  });
+});
+
+test('Proxy routes on conversation history', async () => {
+  await withProxy({}, async (proxy, upstream) => {
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [
+        { role: 'user', content: 'Prove that sqrt(2) is irrational step by step' },
+        { role: 'assistant', content: 'Assume sqrt(2) = p/q...' },
+        { role: 'user', content: 'continue' },
+      ],
+    });
+    assertEqual(upstream.received[0].body.model, DEFAULT_TIER_MODELS.REASONING);
+  });
+});
+
+test('Proxy keeps a session on its tier and reports stickiness', async () => {
+  const routed = [];
+  await withProxy({ onRouted: d => routed.push(d) }, async (proxy, upstream) => {
+    const headers = { 'x-clawrouter-session': 'agent-1' };
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'Build a complete REST API with authentication, rate limiting, and database integration using Node.js' }],
+    }, headers);
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    }, headers);
+    assertEqual(upstream.received[1].body.model, upstream.received[0].body.model);
+    assertEqual(routed[1].sticky, true);
+    assertEqual(routed[1].rawTier, 'SIMPLE');
+    assertEqual(routed[0].sticky, false);
+  });
+});
+
+test('Proxy stickiness can be disabled', async () => {
+  await withProxy({ stickiness: false }, async (proxy, upstream) => {
+    const headers = { 'x-clawrouter-session': 'agent-1' };
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'Prove that sqrt(2) is irrational step by step' }],
+    }, headers);
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    }, headers);
+    assertEqual(upstream.received[1].body.model, DEFAULT_TIER_MODELS.SIMPLE);
+  });
+});
+
+test('Proxy routes tool-heavy requests to a tool-capable tier', async () => {
+  const routed = [];
+  await withProxy({ onRouted: d => routed.push(d) }, async (proxy, upstream) => {
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      tools: manyTools,
+      tool_choice: 'required',
+      messages: [{ role: 'user', content: 'hi' }],
+    });
+    assertTrue(upstream.received[0].body.model !== DEFAULT_TIER_MODELS.SIMPLE, 'Should not use SIMPLE');
+    assertEqual(routed[0].adjustments[0].reason, 'toolHeavy');
+
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      tools: manyTools.slice(0, 1),
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    });
+    assertEqual(upstream.received[1].body.model, DEFAULT_TIER_MODELS.SIMPLE, 'One tool on a plain question stays on SIMPLE');
+    assertEqual(routed[1].adjustments.length, 0);
+  });
+});
+
+test('Proxy routes image requests to a vision-capable model', async () => {
+  await withProxy({}, async (proxy, upstream) => {
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: [{ type: 'text', text: 'Summarize the trade-offs in this architecture diagram' }, imagePart] }],
+    });
+    const model = upstream.received[0].body.model;
+    assertTrue([DEFAULT_TIER_MODELS.SIMPLE, DEFAULT_TIER_MODELS.COMPLEX].includes(model), `Got ${model}`);
+  });
+});
+
+test('Proxy rejects requests no tier model can fit', async () => {
+  await withProxy({}, async (proxy, upstream) => {
+    const res = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'Summarize' }],
+      max_tokens: 100000,
+    });
+    assertEqual(res.status, 400);
+    assertEqual(res.json.error.code, 'context_length_exceeded');
+    assertEqual(upstream.received.length, 0);
+  });
+});
+
+test('Proxy logs decisions with usage from JSON responses', async () => {
+  const dir = tempDir();
+  const routingLog = new RoutingLog({ dir });
+  try {
+    await withProxy({ routingLog }, async (proxy) => {
+      await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+        model: 'auto',
+        messages: [{ role: 'user', content: 'What is 2+2?' }],
+      });
+      await eventually(() => routingLog.read().length > 0);
+      const [entry] = routingLog.read();
+      assertEqual(entry.tier, 'SIMPLE');
+      assertEqual(entry.status, 200);
+      assertEqual(entry.usage.inputTokens, 12);
+      assertEqual(entry.promptHash.length, 16);
+      assertTrue(typeof entry.latencyMs === 'number', 'Should record latency');
+      assertTrue(entry.scores.simple > 0, 'Should record scores');
+    }, (entry, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ model: entry.body.model, usage: { prompt_tokens: 12, completion_tokens: 3 } }));
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Proxy logs usage from the final SSE chunk', async () => {
+  const dir = tempDir();
+  const routingLog = new RoutingLog({ dir });
+  try {
+    await withProxy({ routingLog }, async (proxy) => {
+      const res = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+        model: 'auto',
+        stream: true,
+        messages: [{ role: 'user', content: 'What is 2+2?' }],
+      });
+      assertTrue(res.body.includes('[DONE]'), 'Stream passes through');
+      await eventually(() => routingLog.read().length > 0);
+      assertEqual(routingLog.read()[0].usage.outputTokens, 1);
+    }, (entry, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('data: {"choices":[{"delta":{"content":"4"}}]}\n\n');
+      res.write('data: {"choices":[],"usage":{"prompt_tokens":9,"completion_tokens":1}}\n\n');
+      res.end('data: [DONE]\n\n');
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Proxy requests include_usage for streaming chat and reports actual cost', async () => {
+  const completed = [];
+  await withProxy({ baselineModel: 'openai/gpt-4o', onCompleted: d => completed.push(d) }, async (proxy, upstream) => {
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      stream: true,
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    }, { 'x-clawrouter-session': 'cost-test' });
+    assertEqual(upstream.received[0].body.stream_options.include_usage, true);
+    await eventually(() => completed.length > 0);
+    assertEqual(completed[0].usage.inputTokens, 9);
+    assertTrue(completed[0].cost > 0, 'Should compute actual cost');
+    assertTrue(completed[0].savings > 0.9, `Savings ${completed[0].savings}`);
+
+    const res = await request(proxy.baseUrl, 'GET', '/v1/clawrouter/usage');
+    assertEqual(res.json.baselineModel, 'openai/gpt-4o');
+    assertEqual(res.json.totals.requests, 1);
+    assertEqual(res.json.sessions['header:cost-test'].outputTokens, 1);
+    assertEqual(proxy.getUsage().totals.requests, 1);
+  }, (entry, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('data: {"choices":[{"delta":{"content":"4"}}]}\n\n');
+    res.write('data: {"choices":[],"usage":{"prompt_tokens":9,"completion_tokens":1}}\n\n');
+    res.end('data: [DONE]\n\n');
+  });
+});
+
+test('Proxy caps tiers and then rejects as the budget runs out', async () => {
+  const dir = tempDir();
+  const budgets = new BudgetManager({ statePath: path.join(dir, 'state.json'), global: { daily: 1 }, rejectStatus: 429 });
+  const complexPrompt = 'Build a complete REST API with authentication, rate limiting, and database integration using Node.js';
+  try {
+    await withProxy({ budgets }, async (proxy, upstream) => {
+      budgets.record(null, 0.9);
+      await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+        model: 'auto',
+        messages: [{ role: 'user', content: complexPrompt }],
+      });
+      assertEqual(upstream.received[0].body.model, DEFAULT_TIER_MODELS.MEDIUM);
+
+      budgets.record(null, 0.2);
+      const res = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+        model: 'auto',
+        messages: [{ role: 'user', content: complexPrompt }],
+      });
+      assertEqual(res.status, 429);
+      assertEqual(res.json.error.type, 'budget_exceeded');
+      assertEqual(res.json.error.details.scope, 'global');
+      assertEqual(upstream.received.length, 1);
+    });
+    await budgets.flush();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Proxy records actual spend against budgets', async () => {
+  const dir = tempDir();
+  const budgets = new BudgetManager({ statePath: path.join(dir, 'state.json'), consumers: { alice: { daily: 100 } } });
+  try {
+    await withProxy({ budgets }, async (proxy) => {
+      await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+        model: 'openai/gpt-4o',
+        user: 'alice',
+        messages: [{ role: 'user', content: 'Hi' }],
+      });
+      await eventually(() => budgets.snapshot()['consumer:alice']);
+      assertTrue(Math.abs(budgets.snapshot()['consumer:alice'].daily - 12.5) < 1e-9, 'gpt-4o cost for 1M/1M tokens');
+    }, (entry, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ usage: { prompt_tokens: 1_000_000, completion_tokens: 1_000_000 } }));
+    });
+    await budgets.flush();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Proxy applies a configured classifier', async () => {
+  const name = setupClassifier({
+    type: 'knn',
+    name: 'proxy-knn',
+    examples: [{ prompt: 'hello there friend', tier: 'MEDIUM' }],
+  });
+  const routed = [];
+  try {
+    await withProxy({ classifier: { name, mode: 'replace' }, onRouted: d => routed.push(d) }, async (proxy, upstream) => {
+      await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+        model: 'auto',
+        messages: [{ role: 'user', content: 'hello there' }],
+      });
+      assertEqual(upstream.received[0].body.model, DEFAULT_TIER_MODELS.MEDIUM);
+      assertEqual(routed[0].method, 'proxy-knn');
+      assertEqual(routed[0].ruleTier, 'SIMPLE');
+    });
+  } finally {
+    unregisterClassifier(name);
+  }
+});
+
+test('Proxy routes with configured weights and thresholds', async () => {
+  await withProxy({ thresholds: { simple: 0.01 } }, async (proxy, upstream) => {
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'Explain how databases work in detail and compare the tradeoffs' }],
+    });
+    assertEqual(upstream.received[0].body.model, DEFAULT_TIER_MODELS.MEDIUM);
+  });
+});
+
+test('Proxy applies routing rules before the scorer', async () => {
+  const routed = [];
+  const rules = [{ name: 'legal', match: { headers: { 'x-team': 'legal' } }, tier: 'COMPLEX' }];
+  await withProxy({ rules, stickiness: false, onRouted: d => routed.push(d) }, async (proxy, upstream) => {
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    }, { 'X-Team': 'legal' });
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    });
+    assertEqual(upstream.received[0].body.model, DEFAULT_TIER_MODELS.COMPLEX);
+    assertEqual(routed[0].method, 'rule:legal');
+    assertEqual(upstream.received[1].body.model, DEFAULT_TIER_MODELS.SIMPLE);
+    assertEqual(routed[1].method, 'weighted');
+  });
+});
+
+test('Proxy routes over a custom tier list', async () => {
+  await withProxy({ tiers: customTiers }, async (proxy, upstream) => {
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'Write a poem about a fictional character' }],
+    });
+    assertEqual(upstream.received[0].body.model, 'openai/gpt-4o');
+  });
+});
+
+test('Proxy routes auto:<profile> models and the profile header', async () => {
+  const routed = [];
+  await withProxy({ profiles, stickiness: false, onRouted: d => routed.push(d) }, async (proxy, upstream) => {
+    const prompt = [{ role: 'user', content: 'What is 2+2?' }];
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', { model: 'auto:premium', messages: prompt });
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', { model: 'auto', messages: prompt },
+      { 'X-ClawRouter-Profile': 'premium' });
+    await request(proxy.baseUrl, 'POST', '/v1/chat/completions', { model: 'auto', messages: prompt });
+    assertEqual(upstream.received[0].body.model, DEFAULT_TIER_MODELS.COMPLEX);
+    assertEqual(routed[0].profile, 'premium');
+    assertEqual(routed[0].method, 'rule:all');
+    assertEqual(upstream.received[1].body.model, DEFAULT_TIER_MODELS.COMPLEX);
+    assertEqual(upstream.received[2].body.model, DEFAULT_TIER_MODELS.SIMPLE);
+    assertEqual(routed[2].profile, null);
+
+    const res = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', { model: 'auto:missing', messages: prompt });
+    assertEqual(res.status, 400);
+    assertEqual(res.json.error.code, 'unknown_profile');
+    assertEqual(upstream.received.length, 3, 'Unknown profiles are not forwarded');
+  });
+});
+
+test('Proxy explains routed responses in x-clawrouter headers', async () => {
+  const rules = [{ name: 'legal', match: { headers: { 'x-team': 'legal' } }, tier: 'COMPLEX' }];
+  await withProxy({ rules, stickiness: false }, async (proxy) => {
+    const scored = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    });
+    assertEqual(scored.headers['x-clawrouter-tier'], 'SIMPLE');
+    assertEqual(scored.headers['x-clawrouter-model'], DEFAULT_TIER_MODELS.SIMPLE);
+    assertTrue(Number(scored.headers['x-clawrouter-confidence']) > 0);
+    assertTrue(scored.headers['x-clawrouter-reason'].startsWith('weighted; '));
+
+    const ruled = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    }, { 'X-Team': 'legal' });
+    assertEqual(ruled.headers['x-clawrouter-reason'], 'rule:legal');
+
+    const direct = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'openai/gpt-4o',
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    });
+    assertEqual(direct.headers['x-clawrouter-tier'], undefined, 'Only routed responses are annotated');
+  });
+});
+
+test('Route endpoint returns the decision without calling LiteLLM', async () => {
+  await withProxy({ profiles }, async (proxy, upstream) => {
+    const res = await request(proxy.baseUrl, 'POST', '/v1/clawrouter/route', {
+      messages: [{ role: 'user', content: 'Prove that sqrt(2) is irrational step by step' }],
+    });
+    assertEqual(res.status, 200);
+    assertEqual(res.json.tier, 'REASONING');
+    assertEqual(res.json.model, DEFAULT_TIER_MODELS.REASONING);
+    assertTrue(res.json.scores.reasoning > 0);
+    assertEqual(typeof res.json.weightedScore, 'number');
+    assertTrue(res.json.matchedPatterns.reasoning.length >= 2);
+
+    const premium = await request(proxy.baseUrl, 'POST', '/v1/clawrouter/route', {
+      model: 'auto:premium',
+      input: 'What is 2+2?',
+    });
+    assertEqual(premium.json.api, 'responses');
+    assertEqual(premium.json.profile, 'premium');
+    assertEqual(premium.json.method, 'rule:all');
+    assertEqual(premium.json.matchedPatterns, null);
+
+    const invalid = await request(proxy.baseUrl, 'POST', '/v1/clawrouter/route', 'not json');
+    assertEqual(invalid.status, 400);
+    assertEqual(upstream.received.length, 0);
+  });
+});
+
+test('Proxy records time to first token and chunks for streams', async () => {
+  const completed = [];
+  await withProxy({ onCompleted: d => completed.push(d) }, async (proxy) => {
+    const res = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      stream: true,
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    });
+    assertTrue(res.body.endsWith('data: [DONE]\n\n'));
+    await eventually(() => completed.length > 0);
+    const { stream } = completed[0];
+    assertTrue(stream.ttftMs >= 20, `TTFT ${stream.ttftMs} skips the role-only chunk`);
+    assertTrue(stream.durationMs >= stream.ttftMs);
+    assertEqual(stream.chunks, 3);
+    assertEqual(stream.error, null);
+
+    const usage = await request(proxy.baseUrl, 'GET', '/v1/clawrouter/usage');
+    assertEqual(usage.json.streams[DEFAULT_TIER_MODELS.SIMPLE].streams, 1);
+  }, (entry, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n');
+    setTimeout(() => {
+      res.write('data: {"choices":[{"delta":{"content":"4"}}]}\n\n');
+      res.write('data: {"choices":[],"usage":{"prompt_tokens":9,"completion_tokens":1}}\n\n');
+      res.end('data: [DONE]\n\n');
+    }, 25);
+  });
+});
+
+test('Proxy ends a stream cut off upstream with an SSE error event', async () => {
+  const completed = [];
+  await withProxy({ onCompleted: d => completed.push(d) }, async (proxy) => {
+    const res = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      stream: true,
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    });
+    const events = res.body.split('\n\n').filter(Boolean);
+    assertEqual(events.length, 2, 'The partial chunk is dropped');
+    assertEqual(events[0], 'data: {"choices":[{"delta":{"content":"4"}}]}');
+    assertTrue(events[1].startsWith('event: error\ndata: '));
+    assertEqual(JSON.parse(events[1].split('data: ')[1]).error.code, 'stream_interrupted');
+    await eventually(() => completed.length > 0);
+    assertTrue(completed[0].stream.error !== null);
+  }, (entry, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('data: {"choices":[{"delta":{"content":"4"}}]}\n\n');
+    res.write('data: {"choices":[{"del');
+    setTimeout(() => res.socket.destroy(), 20);
+  });
+});
+
+test('Proxy moves off a failing candidate model', async () => {
+  const candidates = { SIMPLE: { models: ['openai/gpt-4o', 'gemini/gemini-2.0-flash'], strategy: 'cheapest-healthy' } };
+  const routed = [];
+  const options = { candidates, health: { minSamples: 2 }, retry: { backoffMs: 1 }, onRouted: d => routed.push(d) };
+  await withProxy(options, async (proxy, upstream) => {
+    const ask = () => request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    });
+    await ask();
+    await ask();
+    assertEqual(routed[0].routedModel, 'gemini/gemini-2.0-flash', 'Cheapest candidate first');
+    assertEqual(routed[0].servedModel, 'openai/gpt-4o', 'Other candidates are the fallbacks');
+    assertEqual(routed[0].strategy, 'cheapest-healthy');
+
+    const before = upstream.received.length;
+    await ask();
+    assertEqual(routed[2].routedModel, 'openai/gpt-4o', 'Unhealthy candidate is skipped');
+    assertEqual(upstream.received.length, before + 1);
+
+    const health = await request(proxy.baseUrl, 'GET', '/health');
+    assertEqual(health.json.models['gemini/gemini-2.0-flash'].healthy, false);
+    assertEqual(health.json.models['openai/gpt-4o'].samples, 3);
+  }, (entry, res) => {
+    const status = entry.body.model === 'gemini/gemini-2.0-flash' ? 503 : 200;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ model: entry.body.model }));
+  });
+});
+
+test('Proxy answers repeated deterministic requests from the cache', async () => {
+  const cache = new ResponseCache({ statePath: null });
+  const completed = [];
+  await withProxy({ cache, onCompleted: d => completed.push(d) }, async (proxy, upstream) => {
+    const ask = (body, headers) => request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+      ...body,
+    }, headers);
+    const first = await ask({ temperature: 0 });
+    assertEqual(first.headers['x-clawrouter-cache'], 'miss');
+    await eventually(() => cache.entries.size === 1);
+    const second = await ask({ temperature: 0 });
+    assertEqual(second.headers['x-clawrouter-cache'], 'hit');
+    assertEqual(second.body, first.body);
+    assertEqual(second.headers['x-clawrouter-tier'], 'SIMPLE');
+    assertEqual(upstream.received.length, 1, 'Hits never reach LiteLLM');
+
+    const random = await ask({ temperature: 0.7 });
+    assertEqual(random.headers['x-clawrouter-cache'], undefined, 'Non-deterministic requests bypass the cache');
+    assertEqual(upstream.received.length, 2);
+
+    await ask({ stream: true }, { 'x-clawrouter-cache': 'on' });
+    await eventually(() => cache.entries.size === 2);
+    const replay = await ask({ stream: true }, { 'x-clawrouter-cache': 'on' });
+    assertEqual(replay.headers['x-clawrouter-cache'], 'hit');
+    assertTrue(replay.headers['content-type'].includes('text/event-stream'));
+    assertTrue(replay.body.endsWith('data: [DONE]\n\n'), 'Streams replay as SSE');
+    assertEqual(upstream.received.length, 3);
+    await eventually(() => completed.length === 5);
+    assertEqual(completed[4].cache, 'hit');
+  }, (entry, res) => {
+    if (entry.body.stream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('data: {"choices":[{"delta":{"content":"4"}}]}\n\n');
+      return res.end('data: [DONE]\n\n');
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ model: entry.body.model, choices: [{ message: { content: '4' } }] }));
+  });
+});
+
+test('Proxy answers near-duplicate prompts from the semantic cache', async () => {
+  const semanticCache = new SemanticCache({ statePath: null });
+  await withProxy({ semanticCache }, async (proxy, upstream) => {
+    const ask = (content, headers) => request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content }],
+    }, headers);
+    const first = await ask('What is the capital of France?');
+    assertEqual(first.headers['x-clawrouter-cache'], 'miss');
+    await eventually(() => semanticCache.entries.size === 1);
+
+    const second = await ask('what is the  capital of france');
+    assertEqual(second.headers['x-clawrouter-cache'], 'hit');
+    assertEqual(second.headers['x-clawrouter-cache-similarity'], '1.000');
+    assertEqual(second.body, first.body);
+    assertEqual(upstream.received.length, 1, 'Hits never reach LiteLLM');
+
+    await ask('what is the capital of france', { 'x-clawrouter-cache': 'off' });
+    assertEqual(upstream.received.length, 2, 'The cache can be bypassed');
+
+    const listed = await request(proxy.baseUrl, 'GET', '/v1/clawrouter/cache?type=semantic');
+    assertEqual(listed.json.exact, undefined);
+    assertEqual(listed.json.semantic.entries.length, 1);
+    assertEqual(listed.json.semantic.entries[0].tier, 'SIMPLE');
+    assertEqual(listed.json.semantic.hits, 1);
+    const purged = await request(proxy.baseUrl, 'DELETE', '/v1/clawrouter/cache?tier=SIMPLE');
+    assertEqual(purged.json.semantic.removed, 1);
+    assertEqual(semanticCache.entries.size, 0);
+  });
+});
+
+test('Proxy semantic cache is not swamped by a long shared system prompt', async () => {
+  const semanticCache = new SemanticCache({ statePath: null });
+  const system = 'You are a helpful geography assistant. Answer in one short sentence. '.repeat(30);
+  await withProxy({ semanticCache, stickiness: false }, async (proxy, upstream) => {
+    const ask = (content, systemPrompt = system) => request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'system', content: systemPrompt }, { role: 'user', content }],
+    });
+    await ask('What is the capital of France?');
+    await eventually(() => semanticCache.entries.size === 1);
+
+    const spain = await ask('What is the capital of Spain?');
+    assertEqual(spain.headers['x-clawrouter-cache'], 'miss', 'A different question misses');
+    assertEqual(upstream.received.length, 2);
+    await eventually(() => semanticCache.entries.size === 2);
+
+    const otherSystem = await ask('What is the capital of France?', 'Answer in French.');
+    assertEqual(otherSystem.headers['x-clawrouter-cache'], 'miss', 'Earlier messages must match exactly');
+    const repeat = await ask('what is the capital of france');
+    assertEqual(repeat.headers['x-clawrouter-cache'], 'hit');
+  });
+});
+
+test('Proxy requires client keys once any exist', async () => {
+  const keys = new KeyStore({ statePath: null });
+  const dir = tempDir();
+  const budgets = new BudgetManager({ statePath: path.join(dir, 'state.json') });
+  const completed = [];
+  const complexPrompt = 'Build a complete REST API with authentication, rate limiting, and database integration using Node.js';
+  try {
+    await withProxy({ keys, budgets, profiles, onCompleted: d => completed.push(d) }, async (proxy, upstream) => {
+      const ask = (headers, body = {}) => request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+        model: 'auto',
+        messages: [{ role: 'user', content: complexPrompt }],
+        ...body,
+      }, headers);
+      assertEqual((await ask({})).status, 200, 'No keys issued yet');
+
+      const { key } = keys.create('team-a', {
+        upstreamKey: 'sk-team-a',
+        tiers: ['SIMPLE', 'MEDIUM'],
+        rateLimit: { requestsPerMinute: 3 },
+        budget: { daily: 10 },
+      });
+      const missing = await ask({});
+      assertEqual(missing.status, 401);
+      assertEqual(missing.json.error.code, 'invalid_api_key');
+      assertEqual((await ask({ authorization: 'Bearer sk-test' })).status, 200, 'The LiteLLM key is unrestricted');
+
+      const auth = { authorization: `Bearer ${key}` };
+      const capped = await ask(auth);
+      assertEqual(capped.status, 200);
+      assertEqual(capped.headers['x-clawrouter-tier'], 'MEDIUM', 'Capped to the key\'s tiers');
+      const forwarded = upstream.received[upstream.received.length - 1];
+      assertEqual(forwarded.headers.authorization, 'Bearer sk-team-a');
+      await eventually(() => completed.length === 3);
+      assertEqual(completed[2].client, 'team-a');
+      assertEqual(completed[2].consumer, 'team-a');
+
+      const explicit = await ask(auth, { model: 'openai/gpt-4o' });
+      assertEqual(explicit.status, 403);
+      assertEqual(explicit.json.error.code, 'model_not_allowed');
+      const admin = await request(proxy.baseUrl, 'GET', '/v1/clawrouter/usage', undefined, auth);
+      assertEqual(admin.status, 403);
+
+      await ask(auth);
+      await ask(auth);
+      const limited = await ask(auth);
+      assertEqual(limited.status, 429);
+      assertEqual(limited.json.error.code, 'rate_limit_exceeded');
+      assertTrue(Number(limited.headers['retry-after']) > 0);
+
+      const eco = keys.create('eco-only', { profiles: ['premium'], budget: { daily: 0.5 } });
+      const ecoAuth = { 'x-api-key': eco.key };
+      const pinned = await ask(ecoAuth, { messages: [{ role: 'user', content: 'What is 2+2?' }] });
+      assertEqual(pinned.headers['x-clawrouter-profile'], 'premium', 'Keys default to their first profile');
+      const other = await ask({ ...ecoAuth, 'x-clawrouter-profile': 'eco' });
+      assertEqual(other.status, 403);
+      assertEqual(other.json.error.code, 'profile_not_allowed');
+      assertEqual(upstream.received[upstream.received.length - 1].headers['x-api-key'], undefined, 'Client keys stay local');
+
+      budgets.record('eco-only', 1, Date.now(), { daily: 0.5 });
+      assertEqual((await ask(ecoAuth)).status, 402, 'Keys carry their own budget');
+
+      keys.revoke('team-a');
+      assertEqual((await ask(auth)).status, 401);
+    });
+    await budgets.flush();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Proxy keeps sessions apart per client key', async () => {
+  const keys = new KeyStore({ statePath: null });
+  const routed = [];
+  const complexPrompt = 'Build a complete REST API with authentication, rate limiting, and database integration using Node.js';
+  await withProxy({ keys, onRouted: d => routed.push(d) }, async (proxy) => {
+    const a = keys.create('team-a').key;
+    const b = keys.create('team-b').key;
+    const ask = (key, content) => request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content }],
+    }, { authorization: `Bearer ${key}`, 'x-clawrouter-session': 'shared' });
+    assertEqual((await ask(a, complexPrompt)).headers['x-clawrouter-tier'], 'COMPLEX');
+    const other = await ask(b, 'What is 2+2?');
+    assertEqual(other.headers['x-clawrouter-tier'], 'SIMPLE', 'Another key cannot pin this session');
+    assertTrue(routed[0].sessionKey !== routed[1].sessionKey);
+    assertEqual((await ask(a, 'What is 2+2?')).headers['x-clawrouter-tier'], 'COMPLEX', 'The key\'s own session still sticks');
+  });
+});
+
+test('Proxy applies client key limits to pass-through requests', async () => {
+  const keys = new KeyStore({ statePath: null });
+  const dir = tempDir();
+  const budgets = new BudgetManager({ statePath: path.join(dir, 'state.json') });
+  const embeddingModel = 'openai/text-embedding-3-small';
+  const limits = { models: { [embeddingModel]: { requestsPerMinute: 3 } } };
+  try {
+    await withProxy({ keys, budgets, limits }, async (proxy, upstream) => {
+      const embed = headers => request(proxy.baseUrl, 'POST', '/v1/embeddings', { model: embeddingModel, input: 'hi' }, headers);
+
+      const tiered = { authorization: `Bearer ${keys.create('team-a', { tiers: ['SIMPLE'] }).key}` };
+      const refused = await embed(tiered);
+      assertEqual(refused.status, 403);
+      assertEqual(refused.json.error.code, 'endpoint_not_allowed');
+      assertEqual((await request(proxy.baseUrl, 'GET', '/v1/models', undefined, tiered)).status, 403);
+      assertEqual(upstream.received.length, 0, 'Keys limited to tiers never reach LiteLLM directly');
+
+      const open = keys.create('tools', { upstreamKey: 'sk-tools', rateLimit: { requestsPerMinute: 2 } });
+      const auth = { authorization: `Bearer ${open.key}` };
+      assertEqual((await embed(auth)).status, 200);
+      assertEqual(upstream.received[0].headers.authorization, 'Bearer sk-tools');
+      assertEqual(upstream.received[0].body.input, 'hi', 'The buffered body is forwarded as sent');
+      assertEqual((await request(proxy.baseUrl, 'GET', '/v1/models', undefined, auth)).status, 200);
+      const limited = await embed(auth);
+      assertEqual(limited.status, 429);
+      assertEqual(limited.json.error.details.scope, `client:${open.record.id}`);
+      assertTrue(Number(limited.headers['retry-after']) > 0);
+
+      const capped = { authorization: `Bearer ${keys.create('capped', { budget: { daily: 0.5 } }).key}` };
+      budgets.record('capped', 1, Date.now(), { daily: 0.5 });
+      const overBudget = await embed(capped);
+      assertEqual(overBudget.status, 402);
+      assertEqual(overBudget.json.error.code, 'budget_exceeded');
+
+      const other = { authorization: `Bearer ${keys.create('other').key}` };
+      assertEqual((await embed(other)).status, 200);
+      assertEqual((await embed(other)).status, 200);
+      const overModel = await embed(other);
+      assertEqual(overModel.status, 429, "The model's own limit applies too");
+      assertEqual(overModel.json.error.details.scope, `model:${embeddingModel}`);
+      assertEqual(upstream.received.length, 4);
+    });
+    await budgets.flush();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Proxy rate limits and queues requests per upstream model', async () => {
+  const limits = {
+    models: {
+      [DEFAULT_TIER_MODELS.SIMPLE]: { requestsPerMinute: 2 },
+      [DEFAULT_TIER_MODELS.COMPLEX]: { maxInFlight: 1 },
+    },
+    maxQueue: 1,
+  };
+  const complexPrompt = 'Build a complete REST API with authentication, rate limiting, and database integration using Node.js';
+  const fallbacks = { SIMPLE: ['openai/gpt-4o-mini'] };
+  let releaseUpstream;
+  const held = new Promise(r => { releaseUpstream = r; });
+  await withProxy({ limits, fallbacks, stickiness: false }, async (proxy, upstream) => {
+    const ask = content => request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content }],
+    });
+    await ask('What is 2+2?');
+    await ask('What is 2+2?');
+    const skipped = await ask('What is 2+2?');
+    assertEqual(skipped.headers['x-clawrouter-model'], 'openai/gpt-4o-mini', 'A rate-limited model is skipped');
+
+    const explicit = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: DEFAULT_TIER_MODELS.SIMPLE,
+      messages: [{ role: 'user', content: 'Hi' }],
+    });
+    assertEqual(explicit.status, 429);
+    assertEqual(explicit.json.error.code, 'rate_limit_exceeded');
+    assertTrue(Number(explicit.headers['retry-after']) >= 1);
+
+    const inFlight = ask(complexPrompt);
+    const queued = ask(complexPrompt);
+    await eventually(() => upstream.received.length === 4);
+    const health = await request(proxy.baseUrl, 'GET', '/health');
+    assertEqual(health.json.queues[DEFAULT_TIER_MODELS.COMPLEX].inFlight, 1);
+    assertEqual(health.json.queues[DEFAULT_TIER_MODELS.COMPLEX].queued, 1);
+    const rejected = await ask(complexPrompt);
+    assertEqual(rejected.status, 429);
+    assertEqual(rejected.json.error.code, 'queue_full');
+
+    releaseUpstream();
+    assertEqual((await inFlight).status, 200);
+    assertEqual((await queued).status, 200);
+    assertEqual(upstream.received.length, 5, 'The queued request goes up once a slot frees');
+  }, async (entry, res) => {
+    if (entry.body.model === DEFAULT_TIER_MODELS.COMPLEX) await held;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ model: entry.body.model }));
+  });
+});
+
+test('Proxy frees a concurrency slot when a streaming client disconnects', async () => {
+  const flash = DEFAULT_TIER_MODELS.SIMPLE;
+  const limits = { models: { [flash]: { maxInFlight: 1 } }, queueTimeoutMs: 500 };
+  await withProxy({ limits, stickiness: false }, async (proxy) => {
+    await new Promise((resolve, reject) => {
+      const req = http.request(`${proxy.baseUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+      }, (res) => {
+        res.once('data', () => {
+          req.destroy();
+          resolve();
+        });
+      });
+      req.on('error', () => {});
+      req.end(JSON.stringify({ model: 'auto', stream: true, messages: [{ role: 'user', content: 'What is 2+2?' }] }));
+      setTimeout(() => reject(new Error('No stream chunk')), 1000);
+    });
+    const next = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    });
+    assertEqual(next.status, 200, 'The next request is not stuck in the queue');
+    const health = await request(proxy.baseUrl, 'GET', '/health');
+    assertEqual(health.json.queues[flash].inFlight, 0);
+  }, (entry, res) => {
+    if (!entry.body.stream) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ model: entry.body.model }));
+      return;
+    }
+    // Never finishes: only the client going away can end it
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: '4' } }] })}\n\n`);
+  });
+});
+
+test('Proxy exports Prometheus metrics and its package version', async () => {
+  const cache = new ResponseCache({ statePath: null });
+  const fallbacks = { SIMPLE: ['openai/gpt-4o-mini'] };
+  const completed = [];
+  await withProxy({ cache, fallbacks, retry: { backoffMs: 1 }, onCompleted: d => completed.push(d) }, async (proxy) => {
+    const ask = body => request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+      ...body,
+    });
+    await ask({ temperature: 0 });
+    await eventually(() => cache.entries.size === 1);
+    await ask({ temperature: 0 });
+    await ask({ model: 'auto:missing' });
+    await eventually(() => completed.length === 2);
+
+    const res = await request(proxy.baseUrl, 'GET', '/metrics');
+    assertEqual(res.status, 200);
+    assertTrue(res.headers['content-type'].startsWith('text/plain; version=0.0.4'));
+    const metrics = res.body;
+    const flash = DEFAULT_TIER_MODELS.SIMPLE;
+    assertTrue(metrics.includes('clawrouter_requests_total{tier="SIMPLE",model="openai/gpt-4o-mini",status="200"} 2'));
+    assertTrue(metrics.includes(`clawrouter_fallbacks_total{tier="SIMPLE",routed_model="${flash}",served_model="openai/gpt-4o-mini"} 1`));
+    assertTrue(metrics.includes('clawrouter_cache_lookups_total{cache="exact",result="hit"} 1'));
+    assertTrue(metrics.includes('clawrouter_rejected_requests_total{code="unknown_profile"} 1'));
+    assertTrue(metrics.includes('clawrouter_routing_duration_seconds_count{tier="SIMPLE"} 2'));
+    assertTrue(metrics.includes('clawrouter_upstream_duration_seconds_count{model="openai/gpt-4o-mini"} 1'), 'Cache hits have no upstream time');
+    assertTrue(/clawrouter_actual_cost_dollars_total\{tier="SIMPLE",model="openai\/gpt-4o-mini"\} \d/.test(metrics));
+    assertTrue(metrics.includes(`clawrouter_estimated_cost_dollars_total{tier="SIMPLE",model="${flash}"}`));
+
+    const { version } = require('./package.json');
+    assertTrue(metrics.includes(`clawrouter_build_info{version="${version}"} 1`));
+    const health = await request(proxy.baseUrl, 'GET', '/health');
+    assertEqual(health.json.version, version);
+  }, (entry, res) => {
+    const status = entry.body.model === DEFAULT_TIER_MODELS.SIMPLE ? 503 : 200;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ model: entry.body.model, usage: { prompt_tokens: 10, completion_tokens: 5 } }));
+  });
+});
+
+// Test 33: Fallback chains
+test('Fallback chain starts with the routed model without repeats', () => {
+  const chain = fallbackChain('a', ['b', 'a', 'c']);
+  assertEqual(chain.join(','), 'a,b,c');
+  assertEqual(fallbackChain('a').join(','), 'a');
+});
+
+test('Proxy falls back to the next model on 429/5xx', async () => {
+  const routed = [];
+  const errors = [];
+  const options = {
+    fallbacks: { SIMPLE: ['openai/gpt-4o-mini'] },
+    retry: { backoffMs: 1 },
+    onRouted: d => routed.push(d),
+    onError: e => errors.push(e),
+  };
+  await withProxy(options, async (proxy, upstream) => {
+    const res = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    });
+    assertEqual(res.status, 200);
+    assertEqual(res.json.model, 'openai/gpt-4o-mini');
+    assertEqual(upstream.received.length, 2);
+    assertEqual(routed[0].servedModel, 'openai/gpt-4o-mini');
+    assertEqual(routed[0].routedModel, DEFAULT_TIER_MODELS.SIMPLE);
+    assertEqual(routed[0].fallback, true);
+    assertEqual(routed[0].attempts, 2);
+    assertEqual(errors[0].status, 429);
+    assertEqual(errors[0].model, DEFAULT_TIER_MODELS.SIMPLE);
+  }, (entry, res) => {
+    const status = entry.body.model === DEFAULT_TIER_MODELS.SIMPLE ? 429 : 200;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ model: entry.body.model }));
+  });
+});
+
+test('Proxy returns the last upstream error once attempts run out', async () => {
+  let attempts = 0;
+  await withProxy({ retry: { maxAttempts: 2, backoffMs: 1 } }, async (proxy, upstream) => {
+    const res = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'auto',
+      messages: [{ role: 'user', content: 'What is 2+2?' }],
+    });
+    assertEqual(res.status, 503);
+    assertEqual(res.json.attempt, 2);
+    assertEqual(upstream.received.length, 2);
+  }, (entry, res) => {
+    res.writeHead(503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ attempt: ++attempts }));
+  });
+});
+
+test('Proxy does not retry explicitly chosen models', async () => {
+  await withProxy({ retry: { backoffMs: 1 } }, async (proxy, upstream) => {
+    const res = await request(proxy.baseUrl, 'POST', '/v1/chat/completions', {
+      model: 'openai/gpt-4o',
+      messages: [{ role: 'user', content: 'Hi' }],
+    });
+    assertEqual(res.status, 500);
+    assertEqual(upstream.received.length, 1);
+  }, (entry, res) => {
+    res.writeHead(500);
+    res.end();
+  });
+});
+
+test('Proxy leaves explicit models untouched', async () => {
+  await withProxy({}, async (proxy, upstream) => {
+    await request(proxy.baseUrl, 'POST', '/v1/responses', { model: 'openai/gpt-4o', input: 'Hi' });
+    assertEqual(upstream.received[0].body.model, 'openai/gpt-4o');
+  });
+});
+
+runTests().then(() => {
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`Tests: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  console.log('\n✅ All tests passed!');
+});